@@ -0,0 +1,128 @@
+/*
+ * Interaction event bus.
+ *
+ * Every visitor interaction goes through `track(name, payload)`. Features such as
+ * points, stats, trending and achievements subscribe to the events they care
+ * about instead of being called from each handler. A failing subscriber is logged
+ * and never stops the others.
+ *
+ * Beacon sinks batch events and send them to an analytics endpoint with
+ * navigator.sendBeacon, flushing when a batch fills up, on a timer and when the
+ * page is hidden.
+ *
+ * Loaded as a plain script it exposes `window.VREvents`; under Node it can be
+ * required directly.
+ */
+(function (root) {
+    /**
+     * Create an event bus.
+     * @returns {{on: function, off: function, track: function}}
+     */
+    function createEventBus() {
+        // Event name (or '*' for every event) -> subscribers in registration order
+        const handlers = new Map();
+
+        /**
+         * Subscribe to an event, or to every event with '*'. '*' handlers also
+         * receive the event name as a second argument.
+         * @param {string} name
+         * @param {function(object, string): void} handler
+         * @returns {function(): void} unsubscribe
+         */
+        function on(name, handler) {
+            if (!handlers.has(name)) handlers.set(name, []);
+            handlers.get(name).push(handler);
+            return () => off(name, handler);
+        }
+        function off(name, handler) {
+            const list = handlers.get(name);
+            if (!list) return;
+            const index = list.indexOf(handler);
+            if (index >= 0) list.splice(index, 1);
+        }
+        /**
+         * Record an interaction and notify its subscribers, then the '*' ones.
+         * @param {string} name e.g. 'shop_click'
+         * @param {object} [payload]
+         */
+        function track(name, payload) {
+            const data = payload || {};
+            const specific = (handlers.get(name) || []).slice();
+            const wildcard = (handlers.get('*') || []).slice();
+            specific.concat(wildcard).forEach(handler => {
+                try {
+                    handler(data, name);
+                } catch (e) {
+                    console.error(`Event handler for "${name}" failed`, e);
+                }
+            });
+        }
+        return { on: on, off: off, track: track };
+    }
+
+    /**
+     * Attach a sink that batches every event and posts it to `endpoint` as JSON:
+     * `{ events: [{ name, payload, time }] }`.
+     * @param {object} bus result of createEventBus()
+     * @param {{endpoint: string, batchSize?: number, flushInterval?: number}} options
+     *   flushInterval is in milliseconds
+     * @returns {{flush: function(): void, detach: function(): void}}
+     */
+    function createBeaconSink(bus, options) {
+        const endpoint = options.endpoint;
+        const batchSize = options.batchSize || 20;
+        const flushInterval = options.flushInterval || 10000;
+        let queue = [];
+
+        function send(body) {
+            const nav = root.navigator;
+            if (nav && typeof nav.sendBeacon === 'function') {
+                const blob = new Blob([body], { type: 'application/json' });
+                if (nav.sendBeacon(endpoint, blob)) return;
+            }
+            // No beacon support, or the browser refused it: fall back to a keepalive fetch
+            if (typeof root.fetch === 'function') {
+                root.fetch(endpoint, { method: 'POST', body: body, keepalive: true, headers: { 'Content-Type': 'application/json' } })
+                    .catch(e => console.error('Analytics upload failed', e));
+            }
+        }
+        function flush() {
+            if (queue.length === 0) return;
+            const batch = queue;
+            queue = [];
+            send(JSON.stringify({ events: batch }));
+        }
+        const unsubscribe = bus.on('*', (payload, name) => {
+            queue.push({ name: name, payload: payload, time: Date.now() });
+            if (queue.length >= batchSize) flush();
+        });
+        const timer = setInterval(flush, flushInterval);
+        function onHidden() {
+            if (!root.document || root.document.visibilityState === 'hidden') flush();
+        }
+        if (root.addEventListener) {
+            root.addEventListener('pagehide', flush);
+            root.document.addEventListener('visibilitychange', onHidden);
+        }
+        function detach() {
+            flush();
+            unsubscribe();
+            clearInterval(timer);
+            if (root.removeEventListener) {
+                root.removeEventListener('pagehide', flush);
+                root.document.removeEventListener('visibilitychange', onHidden);
+            }
+        }
+        return { flush: flush, detach: detach };
+    }
+
+    const VREvents = {
+        createEventBus: createEventBus,
+        createBeaconSink: createBeaconSink
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VREvents;
+    } else {
+        root.VREvents = VREvents;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,212 @@
+/*
+ * Rules engine for points, levels and achievements.
+ *
+ * The rules are data (data/gamification.json): points per event, the metric each
+ * event counts towards, scoreboard levels and achievements. An achievement has a
+ * condition and optionally tiers (bronze/silver/gold) that raise its threshold.
+ * Conditions are:
+ *
+ *   { "metric": "shopClicks", "atLeast": 10 }                       lifetime count
+ *   { "metric": "quickViews", "window": "session", "atLeast": 5 }   this session / "day"
+ *   { "metric": "favoritesAdded", "distinct": "category", "atLeast": 3 }
+ *   { "all": [ ...conditions ] }  /  { "any": [ ...conditions ] }
+ *
+ * `distinct` counts different values of a payload field among the metric's events.
+ * Counts are kept per window in stores shaped `{ counts: {}, distinct: {} }`.
+ *
+ * Loaded as a plain script it exposes `window.VRGamification`; under Node it can
+ * be required directly.
+ */
+(function (root) {
+    // Store for one window of activity
+    function createStore() {
+        return { counts: {}, distinct: {} };
+    }
+
+    // Every "metric.field" pair some condition counts distinct values of
+    function distinctFields(rules) {
+        const fields = new Set();
+        function visit(condition) {
+            if (!condition) return;
+            (condition.all || condition.any || []).forEach(visit);
+            if (condition.metric && condition.distinct) fields.add(condition.metric + '.' + condition.distinct);
+        }
+        (rules.achievements || []).forEach(achievement => {
+            visit(achievement.condition);
+            (achievement.tiers || []).forEach(tier => visit(tier.condition));
+        });
+        return fields;
+    }
+
+    /**
+     * Count an event in a store. Only payload fields that a rule counts distinct
+     * values of are remembered.
+     * @param {object} rules parsed data/gamification.json
+     * @param {{counts: object, distinct: object}} store updated in place
+     * @param {string} name event name
+     * @param {object} [payload]
+     * @returns {string|null} the metric that was counted, if any
+     */
+    function recordEvent(rules, store, name, payload) {
+        const metric = rules.metrics && rules.metrics[name];
+        if (!metric) return null;
+        store.counts[metric] = (store.counts[metric] || 0) + 1;
+        distinctFields(rules).forEach(key => {
+            const [keyMetric, field] = key.split('.');
+            const value = payload && payload[field];
+            if (keyMetric !== metric || value === undefined || value === null) return;
+            const values = store.distinct[key] || [];
+            if (!values.includes(String(value))) values.push(String(value));
+            store.distinct[key] = values;
+        });
+        return metric;
+    }
+
+    // Current value a condition compares against its threshold
+    function conditionValue(condition, stores) {
+        const store = stores[condition.window || 'all'] || createStore();
+        if (condition.distinct) {
+            return (store.distinct[condition.metric + '.' + condition.distinct] || []).length;
+        }
+        return store.counts[condition.metric] || 0;
+    }
+
+    /**
+     * Whether a condition holds.
+     * @param {object} condition
+     * @param {Object<string, {counts: object, distinct: object}>} stores window -> store;
+     *   `all` is the lifetime store, `session` and `day` the shorter windows
+     * @returns {boolean}
+     */
+    function isMet(condition, stores) {
+        if (!condition) return false;
+        if (condition.all) return condition.all.every(part => isMet(part, stores));
+        if (condition.any) return condition.any.some(part => isMet(part, stores));
+        return conditionValue(condition, stores) >= (condition.atLeast || 1);
+    }
+
+    // The condition for each tier of an achievement; untiered achievements have one
+    function tierConditions(achievement) {
+        if (!achievement.tiers) return [achievement.condition];
+        return achievement.tiers.map(tier => tier.condition || Object.assign({}, achievement.condition, { atLeast: tier.atLeast }));
+    }
+
+    /**
+     * Index of the tier a stored unlock value stands for: -1 when locked. `true`
+     * (untiered, or unlocked before the achievement had tiers) is the first tier.
+     * @param {object} achievement
+     * @param {*} value entry from the unlocked map
+     * @returns {number}
+     */
+    function unlockedTier(achievement, value) {
+        if (!value) return -1;
+        if (value === true || !achievement.tiers) return 0;
+        return achievement.tiers.findIndex(tier => tier.id === value);
+    }
+
+    /**
+     * Achievement tiers that have been reached but are not yet unlocked.
+     * @param {object} rules parsed data/gamification.json
+     * @param {Object<string, {counts: object, distinct: object}>} stores see isMet()
+     * @param {Object<string, *>} unlocked achievement key -> tier id (or true)
+     * @returns {Array<{key: string, tier: string|null, value: *}>} in rules order, lower
+     *   tiers first; `value` is what to store in the unlocked map
+     */
+    function newUnlocks(rules, stores, unlocked) {
+        const found = [];
+        (rules.achievements || []).forEach(achievement => {
+            const current = unlockedTier(achievement, unlocked[achievement.key]);
+            tierConditions(achievement).forEach((condition, index) => {
+                if (index <= current || !isMet(condition, stores)) return;
+                const tier = achievement.tiers ? achievement.tiers[index].id : null;
+                found.push({ key: achievement.key, tier: tier, value: tier || true });
+            });
+        });
+        return found;
+    }
+
+    // How far a condition is: its count against the threshold, or for `all` and
+    // `any` the parts met against the parts needed
+    function conditionProgress(condition, stores) {
+        if (condition.all) {
+            return { value: condition.all.filter(part => isMet(part, stores)).length, target: condition.all.length };
+        }
+        if (condition.any) return { value: isMet(condition, stores) ? 1 : 0, target: 1 };
+        return { value: conditionValue(condition, stores), target: condition.atLeast || 1 };
+    }
+
+    /**
+     * Progress towards each achievement's next tier, or towards its last tier once
+     * every tier is unlocked.
+     * @param {object} rules parsed data/gamification.json
+     * @param {Object<string, {counts: object, distinct: object}>} stores see isMet()
+     * @param {Object<string, *>} unlocked achievement key -> tier id (or true)
+     * @returns {Array<{key: string, tierIndex: number, value: number, target: number, complete: boolean}>}
+     *   in rules order; `value` is capped at `target`
+     */
+    function progress(rules, stores, unlocked) {
+        return (rules.achievements || []).map(achievement => {
+            const conditions = tierConditions(achievement);
+            const current = unlockedTier(achievement, unlocked[achievement.key]);
+            const complete = current >= conditions.length - 1;
+            const tierIndex = complete ? conditions.length - 1 : current + 1;
+            const reached = conditionProgress(conditions[tierIndex], stores);
+            return {
+                key: achievement.key,
+                tierIndex: tierIndex,
+                value: complete ? reached.target : Math.min(reached.value, reached.target),
+                target: reached.target,
+                complete: complete
+            };
+        });
+    }
+
+    /**
+     * Description of an achievement (or one of its tiers), with `{n}` replaced by
+     * the tier threshold.
+     * @param {object} achievement
+     * @param {number} [tierIndex=0]
+     * @returns {string}
+     */
+    function describe(achievement, tierIndex) {
+        const condition = tierConditions(achievement)[tierIndex || 0] || {};
+        return String(achievement.desc || '').replace('{n}', condition.atLeast || 1);
+    }
+
+    /**
+     * Points an event is worth.
+     * @returns {number}
+     */
+    function pointsFor(rules, name) {
+        return (rules.points && rules.points[name]) || 0;
+    }
+
+    /**
+     * Label of the highest level reached with `points`, or '' below the first.
+     * @returns {string}
+     */
+    function levelFor(rules, points) {
+        let label = '';
+        (rules.levels || []).forEach(level => {
+            if (points >= level.points) label = level.label;
+        });
+        return label;
+    }
+
+    const VRGamification = {
+        createStore: createStore,
+        recordEvent: recordEvent,
+        isMet: isMet,
+        unlockedTier: unlockedTier,
+        newUnlocks: newUnlocks,
+        progress: progress,
+        describe: describe,
+        pointsFor: pointsFor,
+        levelFor: levelFor
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRGamification;
+    } else {
+        root.VRGamification = VRGamification;
+    }
+})(typeof self !== 'undefined' ? self : this);
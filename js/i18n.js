@@ -0,0 +1,124 @@
+/*
+ * Translations for the UI: message lookup, plurals and number formatting.
+ *
+ * Messages live in one flat JSON file per locale (data/i18n/en.json, de.json, ...),
+ * keyed by dotted ids. A message is either a string or, when it depends on a count,
+ * an object of plural forms picked with Intl.PluralRules:
+ *
+ *     "compare.selected": { "one": "{count} item selected", "other": "{count} items selected" }
+ *
+ * `{name}` placeholders are filled from the params; numbers are formatted for the
+ * locale. A key missing from the locale's file falls back to English, then to the
+ * key itself, so a half-translated file still gives a usable page.
+ *
+ * Catalog records can carry their own translations, which localizeProduct() applies:
+ *
+ *     "translations": { "de": { "title": "...", "features": ["...", "..."] } }
+ *
+ * Loaded as a plain script it exposes `window.VRI18n`; under Node it can be
+ * required directly.
+ */
+(function (root) {
+    // Supported locales: the label shown in the picker and the speech recognition language
+    const LOCALES = {
+        en: { label: 'English', speech: 'en-US' },
+        de: { label: 'Deutsch', speech: 'de-DE' }
+    };
+    const DEFAULT_LOCALE = 'en';
+    // Product fields a catalog translation may replace
+    const PRODUCT_FIELDS = ['title', 'features'];
+
+    /**
+     * First supported locale among the browser's preferred languages.
+     * @param {string[]} languages e.g. navigator.languages
+     * @returns {string}
+     */
+    function detectLocale(languages) {
+        for (const language of (languages || []).filter(Boolean)) {
+            const code = String(language).replace('_', '-').split('-')[0].toLowerCase();
+            if (LOCALES[code]) return code;
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    /**
+     * Replace `{name}` placeholders with params; numbers are formatted for the locale.
+     * Unknown placeholders are left as they are.
+     * @param {string} text
+     * @param {object} [params]
+     * @param {string} [locale]
+     * @returns {string}
+     */
+    function interpolate(text, params, locale) {
+        return String(text).replace(/\{(\w+)\}/g, (match, name) => {
+            if (!params || params[name] === undefined || params[name] === null) return match;
+            const value = params[name];
+            return typeof value === 'number' ? new Intl.NumberFormat(locale || DEFAULT_LOCALE).format(value) : String(value);
+        });
+    }
+
+    /**
+     * Translation function for a locale.
+     * @param {string} locale
+     * @param {Object<string, string|object>} messages the locale's messages
+     * @param {Object<string, string|object>} [fallback] English messages, used for missing keys
+     * @returns {function(string, object=): string} `t(key, params)`, which also has
+     *   `t.locale`, `t.has(key)` and `t.number(value, options)`
+     */
+    function createTranslator(locale, messages, fallback) {
+        const own = messages || {};
+        const backup = fallback || {};
+        const plurals = new Intl.PluralRules(locale);
+        function lookup(key) {
+            if (Object.prototype.hasOwnProperty.call(own, key)) return own[key];
+            if (Object.prototype.hasOwnProperty.call(backup, key)) return backup[key];
+            return undefined;
+        }
+        function t(key, params) {
+            let message = lookup(key);
+            if (message === undefined) return key;
+            if (message && typeof message === 'object') {
+                const count = params && typeof params.count === 'number' ? params.count : 0;
+                const form = count === 0 && message.zero !== undefined ? 'zero' : plurals.select(count);
+                message = message[form] !== undefined ? message[form] : message.other;
+            }
+            return interpolate(message, params, locale);
+        }
+        t.locale = locale;
+        t.has = key => lookup(key) !== undefined;
+        t.number = (value, options) => new Intl.NumberFormat(locale, options).format(value);
+        return t;
+    }
+
+    /**
+     * A catalog record with its translation for the locale applied. Ids, names,
+     * specs and links stay as they are.
+     * @param {object} product
+     * @param {string} locale
+     * @returns {object} a copy, or the same record when it has no translation
+     */
+    function localizeProduct(product, locale) {
+        const translation = product.translations && product.translations[locale];
+        if (!translation) return product;
+        const localized = Object.assign({}, product);
+        PRODUCT_FIELDS.forEach(field => {
+            if (translation[field] !== undefined) localized[field] = translation[field];
+        });
+        return localized;
+    }
+
+    const VRI18n = {
+        LOCALES: LOCALES,
+        DEFAULT_LOCALE: DEFAULT_LOCALE,
+        PRODUCT_FIELDS: PRODUCT_FIELDS,
+        detectLocale: detectLocale,
+        interpolate: interpolate,
+        createTranslator: createTranslator,
+        localizeProduct: localizeProduct
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRI18n;
+    } else {
+        root.VRI18n = VRI18n;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,140 @@
+/*
+ * Insights: the numbers behind the visitor's own dashboard.
+ *
+ * Activity is kept as a count of interactions per day, { 'YYYY-MM-DD': n }, for
+ * the last MAX_DAYS days, so it stays small in storage. dailySeries() turns it
+ * into one entry per day for a chart, with the quiet days filled in. The other
+ * helpers group products by category and find the categories the visitor has
+ * not looked at yet; the catalog is passed in, so this file needs none of its own.
+ *
+ * Days are the visitor's local dates. dayKey() is the one place they are
+ * formatted; the "Recently viewed" strip and the daily achievement window use
+ * it too.
+ *
+ * Loaded as a plain script it exposes `window.VRInsights`; under Node it can be
+ * required directly.
+ */
+(function (root) {
+    // Days of activity kept; older days are dropped
+    const MAX_DAYS = 90;
+
+    /**
+     * The local date a time falls on.
+     * @param {number} time in ms
+     * @returns {string} e.g. '2024-05-01'
+     */
+    function dayKey(time) {
+        const date = new Date(time);
+        const pad = value => String(value).padStart(2, '0');
+        return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+    }
+
+    /**
+     * The local date some days before a time. Counted in calendar days, since a
+     * day is not always 24 hours where the clocks change.
+     * @param {number} time in ms
+     * @param {number} days
+     * @returns {string} e.g. '2024-04-30'
+     */
+    function dayKeyBefore(time, days) {
+        const date = new Date(time);
+        date.setDate(date.getDate() - days);
+        return dayKey(date.getTime());
+    }
+
+    /**
+     * The days still worth keeping: valid counts from the last MAX_DAYS days.
+     * @param {Object<string, number>} days day -> interactions
+     * @param {number} now time in ms
+     * @returns {Object<string, number>} a new map
+     */
+    function prune(days, now) {
+        const oldest = dayKeyBefore(now, MAX_DAYS - 1);
+        const kept = {};
+        Object.keys(days || {}).forEach(day => {
+            const count = days[day];
+            if (/^\d{4}-\d{2}-\d{2}$/.test(day) && day >= oldest && typeof count === 'number' && count > 0) {
+                kept[day] = count;
+            }
+        });
+        return kept;
+    }
+
+    /**
+     * Count one interaction today, pruning the map.
+     * @param {Object<string, number>} days
+     * @param {number} now time in ms
+     * @returns {Object<string, number>} a new map
+     */
+    function recordActivity(days, now) {
+        const kept = prune(days, now);
+        const today = dayKey(now);
+        kept[today] = (kept[today] || 0) + 1;
+        return kept;
+    }
+
+    /**
+     * One entry per day up to today, oldest first, 0 for days without activity.
+     * @param {Object<string, number>} days
+     * @param {object} [options]
+     * @param {number} [options.now=Date.now()]
+     * @param {number} [options.length=30] number of days
+     * @returns {Array<{day: string, count: number}>}
+     */
+    function dailySeries(days, options) {
+        const opts = options || {};
+        const now = typeof opts.now === 'number' ? opts.now : Date.now();
+        const length = opts.length || 30;
+        const series = [];
+        for (let back = length - 1; back >= 0; back--) {
+            const day = dayKeyBefore(now, back);
+            series.push({ day: day, count: (days && days[day]) || 0 });
+        }
+        return series;
+    }
+
+    /**
+     * Counts per product added up per category, most first, then in the order
+     * the categories were first seen.
+     * @param {Object<string, number>} counts product id -> count, e.g. Shop Now
+     *   clicks; 1 per product counts the products themselves
+     * @param {function(string): (string|null)} categoryOf category of a product id,
+     *   null for unknown products
+     * @returns {Array<{category: string, count: number}>}
+     */
+    function countByCategory(counts, categoryOf) {
+        const totals = new Map();
+        Object.keys(counts || {}).forEach(id => {
+            const category = categoryOf(id);
+            if (category && counts[id] > 0) totals.set(category, (totals.get(category) || 0) + counts[id]);
+        });
+        return Array.from(totals, ([category, count]) => ({ category: category, count: count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Categories not explored yet, in the given order.
+     * @param {string[]} categories every category on offer
+     * @param {string[]} explored categories the visitor has filtered by or looked at
+     * @returns {string[]}
+     */
+    function unexplored(categories, explored) {
+        const seen = new Set(explored || []);
+        return (categories || []).filter(category => !seen.has(category));
+    }
+
+    const VRInsights = {
+        MAX_DAYS: MAX_DAYS,
+        dayKey: dayKey,
+        prune: prune,
+        recordActivity: recordActivity,
+        dailySeries: dailySeries,
+        countByCategory: countByCategory,
+        unexplored: unexplored
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRInsights;
+    } else {
+        root.VRInsights = VRInsights;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,294 @@
+/*
+ * Kit builder rules: slots for a complete setup around one headset.
+ *
+ * The slots (strap, battery, audio, ...) and the conflicts to warn about are data
+ * in data/kits.json. A slot is filled from catalog products matching its `fill`
+ * matcher, and can also be covered by a product in another slot (a battery strap
+ * covers the battery slot). A matcher is an object whose conditions must all hold:
+ *
+ *     { "categories": ["Comfort"], "spec": "strapType", "specIncludes": { "strapType": "battery" } }
+ *
+ * A kit is { headset, slots: { slotId: [productId, ...] } }. The functions here
+ * never change the kit they are given. Kits can be shared as a short readable
+ * code, e.g. "KIT1:meta-quest-3/strap:kiwi-k4-boost/extras:amvr-gun-stock+headset-stand".
+ *
+ * Loaded as a plain script it exposes `window.VRKits`; under Node it can be
+ * required directly.
+ */
+(function (root) {
+    const SHARE_PREFIX = 'KIT1:';
+    // Warning texts; analyzeKit() takes translated ones with the same placeholders
+    const MESSAGES = {
+        redundant: '{covered} already covers the {slot} slot, so {names} may not be needed.',
+        fit: '{name} doesn\'t fit the {headset}.',
+        unknownFit: 'Check that {name} works with the {headset}.',
+        and: 'and'
+    };
+
+    /**
+     * Whether a product meets every condition of a matcher.
+     * @param {object} matcher
+     * @param {object} product catalog record
+     * @returns {boolean}
+     */
+    function matches(matcher, product) {
+        if (!matcher || !product) return false;
+        const specs = product.specs || {};
+        if (matcher.categories && !matcher.categories.includes(product.category)) return false;
+        if (matcher.spec && specs[matcher.spec] === undefined) return false;
+        return Object.keys(matcher.specIncludes || {}).every(key =>
+            String(specs[key] || '').toLowerCase().includes(matcher.specIncludes[key].toLowerCase()));
+    }
+
+    /**
+     * Whether an accessory fits a headset, from its `specs.compatibility`.
+     * @param {object} product
+     * @param {string} headsetId
+     * @returns {boolean|null} null when the catalog doesn't say
+     */
+    function fits(product, headsetId) {
+        const compat = product && product.specs && product.specs.compatibility;
+        if (!headsetId || !Array.isArray(compat) || compat.length === 0) return null;
+        return compat.includes('*') || compat.includes(headsetId);
+    }
+
+    /**
+     * An empty kit for a headset.
+     * @param {string|null} headsetId
+     * @returns {{headset: string|null, slots: object}}
+     */
+    function createKit(headsetId) {
+        return { headset: headsetId || null, slots: {} };
+    }
+
+    /**
+     * Every product in the kit, in slot order, without the headset.
+     * @param {object} rules parsed data/kits.json
+     * @param {object} kit
+     * @returns {string[]}
+     */
+    function kitProductIds(rules, kit) {
+        const ids = [];
+        rules.slots.forEach(slot => (kit.slots[slot.id] || []).forEach(id => {
+            if (!ids.includes(id)) ids.push(id);
+        }));
+        return ids;
+    }
+
+    /**
+     * Products that can fill a slot, leaving out headsets and known misfits.
+     * Ones known to fit come first, then catalog order.
+     * @param {object} rules
+     * @param {string} slotId
+     * @param {object[]} catalog
+     * @param {string|null} headsetId
+     * @returns {object[]}
+     */
+    function candidates(rules, slotId, catalog, headsetId) {
+        const slot = rules.slots.find(entry => entry.id === slotId);
+        if (!slot) return [];
+        return catalog
+            .filter(product => product.category !== 'Headsets' && matches(slot.fill, product) && fits(product, headsetId) !== false)
+            .map((product, index) => ({ product: product, index: index, known: fits(product, headsetId) === true ? 0 : 1 }))
+            .sort((a, b) => a.known - b.known || a.index - b.index)
+            .map(entry => entry.product);
+    }
+
+    /**
+     * Put a product in a slot. Single slots are replaced; in a `multiple` slot the
+     * product is added, or taken out if it is already there. An empty id clears
+     * a single slot.
+     * @param {object} rules
+     * @param {object} kit
+     * @param {string} slotId
+     * @param {string|null} productId
+     * @returns {object} updated kit
+     */
+    function setSlot(rules, kit, slotId, productId) {
+        const slot = rules.slots.find(entry => entry.id === slotId);
+        const updated = { headset: kit.headset, slots: Object.assign({}, kit.slots) };
+        if (!slot) return updated;
+        const current = updated.slots[slotId] || [];
+        let next;
+        if (!productId) {
+            next = [];
+        } else if (slot.multiple) {
+            next = current.includes(productId) ? current.filter(id => id !== productId) : current.concat([productId]);
+        } else {
+            next = [productId];
+        }
+        if (next.length > 0) {
+            updated.slots[slotId] = next;
+        } else {
+            delete updated.slots[slotId];
+        }
+        return updated;
+    }
+
+    function joinNames(names, and) {
+        if (names.length <= 1) return names.join('');
+        return names.slice(0, -1).join(', ') + ' ' + and + ' ' + names[names.length - 1];
+    }
+
+    function fill(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+    }
+
+    /**
+     * Slot coverage and warnings for a kit.
+     * @param {object} rules
+     * @param {object} kit
+     * @param {Object<string, object>} productsById
+     * @param {object} [messages] warning texts to use instead of the English MESSAGES
+     * @returns {{slots: Array<{id: string, label: string, hint: string, optional: boolean, multiple: boolean,
+     *   items: string[], coveredBy: string|null, status: string}>,
+     *   warnings: Array<{type: string, message: string, productIds: string[]}>, missing: string[]}}
+     *   `status` is 'filled', 'covered' (by another slot's product) or 'empty'; `missing`
+     *   lists the empty slots that aren't optional
+     */
+    function analyzeKit(rules, kit, productsById, messages) {
+        const text = Object.assign({}, MESSAGES, messages);
+        const names = list => joinNames(list, text.and);
+        const ids = kitProductIds(rules, kit).filter(id => productsById[id]);
+        const name = id => productsById[id].name;
+        const headset = kit.headset ? productsById[kit.headset] : null;
+        const warnings = [];
+        const slots = rules.slots.map(slot => {
+            const items = (kit.slots[slot.id] || []).filter(id => productsById[id]);
+            const coveredBy = ids.find(id => !items.includes(id) &&
+                (slot.coveredBy || []).some(matcher => matches(matcher, productsById[id]))) || null;
+            if (items.length > 0 && coveredBy) {
+                warnings.push({
+                    type: 'redundant',
+                    message: fill(text.redundant, { covered: name(coveredBy), slot: slot.label, names: names(items.map(name)) }),
+                    productIds: items.concat([coveredBy])
+                });
+            }
+            return {
+                id: slot.id,
+                label: slot.label,
+                hint: slot.hint || '',
+                optional: slot.optional === true,
+                multiple: slot.multiple === true,
+                items: items,
+                coveredBy: coveredBy,
+                status: items.length > 0 ? 'filled' : (coveredBy ? 'covered' : 'empty')
+            };
+        });
+        if (headset) {
+            ids.forEach(id => {
+                const fit = fits(productsById[id], headset.id);
+                if (fit === false) {
+                    warnings.push({ type: 'fit', message: fill(text.fit, { name: name(id), headset: headset.name }), productIds: [id] });
+                } else if (fit === null) {
+                    warnings.push({ type: 'unknown-fit', message: fill(text.unknownFit, { name: name(id), headset: headset.name }), productIds: [id] });
+                }
+            });
+        }
+        // A conflict whose products were already reported by an earlier (more specific) rule is skipped
+        const reported = [];
+        (rules.conflicts || []).forEach(conflict => {
+            const hits = ids.filter(id => matches(conflict.match, productsById[id]));
+            if (hits.length <= (conflict.max || 1)) return;
+            if (reported.some(set => hits.every(id => set.includes(id)))) return;
+            reported.push(hits);
+            warnings.push({ type: 'conflict', message: fill(conflict.message, { names: names(hits.map(name)) }), productIds: hits });
+        });
+        const missing = slots.filter(slot => slot.status === 'empty' && !slot.optional).map(slot => slot.id);
+        return { slots: slots, warnings: warnings, missing: missing };
+    }
+
+    /**
+     * A suggested product for each empty slot that isn't optional.
+     * @param {object} rules
+     * @param {object} kit
+     * @param {object[]} catalog
+     * @param {function(object): number} [score] higher is suggested first, e.g.
+     *   popularity; ties keep the order from candidates()
+     * @returns {Object<string, string>} slot id -> product id
+     */
+    function suggestFill(rules, kit, catalog, score) {
+        const productsById = {};
+        catalog.forEach(product => {
+            productsById[product.id] = product;
+        });
+        const analysis = analyzeKit(rules, kit, productsById);
+        const inKit = kitProductIds(rules, kit);
+        const suggestions = {};
+        analysis.missing.forEach(slotId => {
+            const options = candidates(rules, slotId, catalog, kit.headset).filter(product => !inKit.includes(product.id));
+            const ranked = score
+                ? options.map((product, index) => ({ product: product, index: index, score: score(product) }))
+                    .sort((a, b) => b.score - a.score || a.index - b.index).map(entry => entry.product)
+                : options;
+            if (ranked.length > 0) suggestions[slotId] = ranked[0].id;
+        });
+        return suggestions;
+    }
+
+    /**
+     * Share code for a kit.
+     * @param {object} rules
+     * @param {object} kit
+     * @returns {string}
+     */
+    function encodeKit(rules, kit) {
+        const parts = [kit.headset || ''];
+        rules.slots.forEach(slot => {
+            const items = kit.slots[slot.id] || [];
+            if (items.length > 0) parts.push(slot.id + ':' + items.join('+'));
+        });
+        return SHARE_PREFIX + parts.join('/');
+    }
+
+    /**
+     * The kit carried by a share code, or null if it isn't one. Unknown slots are
+     * dropped, and a pasted link ending in "#kit=<code>" is accepted too.
+     * @param {object} rules
+     * @param {string} text
+     * @returns {object|null}
+     */
+    function decodeKit(rules, text) {
+        let code = String(text || '').trim();
+        const marker = code.indexOf('#kit=');
+        if (marker >= 0) {
+            try {
+                code = decodeURIComponent(code.slice(marker + '#kit='.length));
+            } catch (e) {
+                // A broken escape such as "%E0%A4%A" in the link
+                return null;
+            }
+        }
+        if (!code.startsWith(SHARE_PREFIX)) return null;
+        const parts = code.slice(SHARE_PREFIX.length).split('/');
+        const validId = id => /^[a-z0-9-]+$/.test(id);
+        if (parts[0] && !validId(parts[0])) return null;
+        const kit = createKit(parts[0] || null);
+        for (const part of parts.slice(1)) {
+            const [slotId, list] = part.split(':');
+            const items = (list || '').split('+').filter(Boolean);
+            if (!items.every(validId)) return null;
+            if (rules.slots.some(slot => slot.id === slotId) && items.length > 0) kit.slots[slotId] = items;
+        }
+        return kit;
+    }
+
+    const VRKits = {
+        MESSAGES: MESSAGES,
+        matches: matches,
+        fits: fits,
+        createKit: createKit,
+        kitProductIds: kitProductIds,
+        candidates: candidates,
+        setSlot: setSlot,
+        analyzeKit: analyzeKit,
+        suggestFill: suggestFill,
+        encodeKit: encodeKit,
+        decodeKit: decodeKit
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRKits;
+    } else {
+        root.VRKits = VRKits;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,101 @@
+/*
+ * Affiliate link builder.
+ *
+ * Every Shop Now link is built here from a product's `link` data (an ASIN or a
+ * search phrase) so the affiliate tag and storefront are applied in one place.
+ * The storefront is picked from the visitor's locale unless they chose one.
+ *
+ * Loaded as a plain script it exposes `window.VRLinks`; under Node it is also
+ * used by scripts/validate-catalog.js.
+ */
+(function (root) {
+    // Amazon storefronts we link to. `tag` is the Associates tracking id for that
+    // store; leave it empty until the regional account exists (links then go out
+    // untagged and the catalog validator reports it).
+    const STOREFRONTS = {
+        us: { label: 'Amazon.com (US)', domain: 'amazon.com', tag: 'autopromotete-20' },
+        uk: { label: 'Amazon.co.uk (UK)', domain: 'amazon.co.uk', tag: '' },
+        ca: { label: 'Amazon.ca (Canada)', domain: 'amazon.ca', tag: '' },
+        de: { label: 'Amazon.de (Germany)', domain: 'amazon.de', tag: '' },
+        fr: { label: 'Amazon.fr (France)', domain: 'amazon.fr', tag: '' },
+        es: { label: 'Amazon.es (Spain)', domain: 'amazon.es', tag: '' },
+        it: { label: 'Amazon.it (Italy)', domain: 'amazon.it', tag: '' },
+        au: { label: 'Amazon.com.au (Australia)', domain: 'amazon.com.au', tag: '' }
+    };
+    const DEFAULT_STORE = 'us';
+    // Country part of a locale -> storefront
+    const REGION_STORES = {
+        US: 'us', GB: 'uk', UK: 'uk', IE: 'uk', CA: 'ca', DE: 'de', AT: 'de', CH: 'de',
+        FR: 'fr', BE: 'fr', ES: 'es', IT: 'it', AU: 'au', NZ: 'au'
+    };
+    // Language-only locales ("de", "fr") -> storefront
+    const LANGUAGE_STORES = { de: 'de', fr: 'fr', es: 'es', it: 'it' };
+
+    /**
+     * Pick a storefront from the visitor's preferred locales.
+     * @param {string[]} locales e.g. navigator.languages
+     * @returns {string} storefront id
+     */
+    function detectStorefront(locales) {
+        const list = (locales || []).filter(Boolean);
+        for (const locale of list) {
+            const [language, region] = String(locale).replace('_', '-').split('-');
+            if (region && REGION_STORES[region.toUpperCase()]) return REGION_STORES[region.toUpperCase()];
+            if (!region && LANGUAGE_STORES[language.toLowerCase()]) return LANGUAGE_STORES[language.toLowerCase()];
+        }
+        return DEFAULT_STORE;
+    }
+
+    // The ASIN for a storefront: `link.asin` is the amazon.com listing and
+    // `link.asins` can override it per storefront id.
+    function asinFor(link, storeId) {
+        if (link.asins && link.asins[storeId]) return link.asins[storeId];
+        return storeId === DEFAULT_STORE ? link.asin || null : null;
+    }
+
+    /**
+     * Build the affiliate URL for a product on a storefront. Falls back to a
+     * search for `link.search` (or the product name) when there is no ASIN.
+     * @param {{name: string, link?: {asin?: string, asins?: Object<string, string>, search?: string}}} product
+     * @param {string} [storeId]
+     * @returns {string}
+     */
+    function buildProductUrl(product, storeId) {
+        const id = STOREFRONTS[storeId] ? storeId : DEFAULT_STORE;
+        const store = STOREFRONTS[id];
+        const link = product.link || {};
+        const asin = asinFor(link, id);
+        const params = new URLSearchParams();
+        let url;
+        if (asin) {
+            url = `https://www.${store.domain}/dp/${encodeURIComponent(asin)}/`;
+        } else {
+            url = `https://www.${store.domain}/s`;
+            params.set('k', link.search || product.name);
+        }
+        if (store.tag) params.set('tag', store.tag);
+        const query = params.toString();
+        return query ? url + '?' + query : url;
+    }
+
+    /**
+     * Whether the product links to a search rather than a specific listing on a storefront.
+     * @returns {boolean}
+     */
+    function isSearchFallback(product, storeId) {
+        return !asinFor(product.link || {}, STOREFRONTS[storeId] ? storeId : DEFAULT_STORE);
+    }
+
+    const VRLinks = {
+        STOREFRONTS: STOREFRONTS,
+        DEFAULT_STORE: DEFAULT_STORE,
+        detectStorefront: detectStorefront,
+        buildProductUrl: buildProductUrl,
+        isSearchFallback: isSearchFallback
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRLinks;
+    } else {
+        root.VRLinks = VRLinks;
+    }
+})(typeof self !== 'undefined' ? self : this);
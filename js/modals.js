@@ -0,0 +1,180 @@
+/*
+ * One manager for every modal overlay (Quick View, Compare, Quiz, Memory Game).
+ *
+ * A modal is an overlay element (`.modal`) holding its dialog (`.modal-content`,
+ * marked up with role="dialog" and aria-modal="true"). Open modals form a stack, so
+ * Quick View can open on top of the quiz results. The top one gets the focus and
+ * keeps it: Tab and Shift+Tab cycle inside it and everything behind it is made
+ * inert. Escape, a click on the backdrop or its close button closes only the top
+ * one, and focus goes back to whatever opened it.
+ *
+ * Loaded as a plain script it exposes `window.VRModals`.
+ */
+(function (root) {
+    const FOCUSABLE = [
+        'a[href]',
+        'button:not([disabled])',
+        'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])',
+        'textarea:not([disabled])',
+        '[tabindex]:not([tabindex="-1"])'
+    ].join(',');
+    const BASE_Z_INDEX = 1000;
+
+    /**
+     * @param {Document} doc
+     * @returns {{register: function, open: function, close: function, isOpen: function}}
+     */
+    function createModalManager(doc) {
+        // Open modals, bottom first: { modal, opener }
+        const stack = [];
+        const registered = new Map();
+        // Elements this manager made inert, so ones inert for other reasons are left alone
+        const madeInert = new Set();
+
+        function dialogOf(modal) {
+            return modal.querySelector('[role="dialog"]') || modal;
+        }
+        function focusables(modal) {
+            return Array.from(dialogOf(modal).querySelectorAll(FOCUSABLE))
+                .filter(el => !el.closest('[hidden], [style*="display: none"], [style*="display:none"]'));
+        }
+        function top() {
+            return stack.length > 0 ? stack[stack.length - 1] : null;
+        }
+        // Everything but the top modal is inert while any modal is open
+        function updateBackground() {
+            const current = top();
+            madeInert.forEach(el => {
+                el.inert = false;
+                el.removeAttribute('aria-hidden');
+            });
+            madeInert.clear();
+            stack.forEach((entry, index) => {
+                entry.modal.style.zIndex = String(BASE_Z_INDEX + index);
+            });
+            doc.body.style.overflow = current ? 'hidden' : '';
+            if (!current) return;
+            Array.from(doc.body.children).forEach(el => {
+                if (el === current.modal || el.contains(current.modal) || el.inert || el.tagName === 'SCRIPT') return;
+                el.inert = true;
+                el.setAttribute('aria-hidden', 'true');
+                madeInert.add(el);
+            });
+        }
+        function focusInside(modal) {
+            const dialog = dialogOf(modal);
+            const preferred = dialog.querySelector('[autofocus]');
+            (preferred || dialog).focus();
+        }
+
+        /**
+         * Set up a modal once: a focusable dialog, backdrop clicks and its close button
+         * (`.close-modal` or `[data-close-modal]`).
+         * @param {HTMLElement} modal the overlay element
+         * @param {{onClose?: function(*): void}} [options] `onClose(detail)` runs after
+         *   the modal closes, with the detail passed to close() (undefined when the
+         *   visitor closed it)
+         */
+        function register(modal, options) {
+            if (!modal || registered.has(modal)) return;
+            registered.set(modal, options || {});
+            const dialog = dialogOf(modal);
+            if (!dialog.hasAttribute('tabindex')) dialog.setAttribute('tabindex', '-1');
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) close(modal);
+            });
+            const closeBtn = modal.querySelector('.close-modal, [data-close-modal]');
+            if (closeBtn) closeBtn.addEventListener('click', () => close(modal));
+        }
+
+        /**
+         * Show a registered modal on top of any already open. Opening one that is
+         * already open just moves the focus into it.
+         * @param {HTMLElement} modal
+         * @param {{opener?: HTMLElement}} [options] element to refocus on close;
+         *   defaults to the one focused now
+         */
+        function open(modal, options) {
+            if (!modal) return;
+            register(modal);
+            if (!isOpen(modal)) {
+                const opener = (options && options.opener) || doc.activeElement;
+                stack.push({ modal: modal, opener: opener });
+                modal.style.display = 'flex';
+                updateBackground();
+            }
+            focusInside(modal);
+        }
+
+        /**
+         * Hide a modal (and any opened on top of it) and return the focus.
+         * @param {HTMLElement} modal
+         * @param {*} [detail] passed on to its onClose
+         */
+        function close(modal, detail) {
+            const index = stack.findIndex(entry => entry.modal === modal);
+            if (index < 0) return;
+            while (stack.length > index) {
+                const entry = stack.pop();
+                entry.modal.style.display = 'none';
+                entry.modal.style.zIndex = '';
+                updateBackground();
+                const onClose = registered.get(entry.modal).onClose;
+                if (onClose) onClose(entry.modal === modal ? detail : undefined);
+                if (entry.opener && entry.opener.isConnected && typeof entry.opener.focus === 'function') {
+                    entry.opener.focus();
+                }
+            }
+        }
+
+        /**
+         * @param {HTMLElement} [modal] leave out to ask whether any modal is open
+         * @returns {boolean}
+         */
+        function isOpen(modal) {
+            if (modal === undefined) return stack.length > 0;
+            return stack.some(entry => entry.modal === modal);
+        }
+
+        doc.addEventListener('keydown', (e) => {
+            const current = top();
+            if (!current) return;
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                close(current.modal);
+            } else if (e.key === 'Tab') {
+                const items = focusables(current.modal);
+                e.preventDefault();
+                if (items.length === 0) {
+                    focusInside(current.modal);
+                    return;
+                }
+                const index = items.indexOf(doc.activeElement);
+                let next;
+                if (e.shiftKey) {
+                    next = index <= 0 ? items[items.length - 1] : items[index - 1];
+                } else {
+                    next = index < 0 || index === items.length - 1 ? items[0] : items[index + 1];
+                }
+                next.focus();
+            }
+        });
+        // Browsers without `inert` can still move focus behind the modal; pull it back
+        doc.addEventListener('focusin', (e) => {
+            const current = top();
+            if (current && !current.modal.contains(e.target)) focusInside(current.modal);
+        });
+
+        return { register: register, open: open, close: close, isOpen: isOpen };
+    }
+
+    const VRModals = {
+        createModalManager: createModalManager
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRModals;
+    } else {
+        root.VRModals = VRModals;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,127 @@
+/*
+ * Prices from the local price feed (data/prices.json) and price-drop watching.
+ *
+ * The feed holds each product's current price and a short dated history. It is
+ * regenerated offline (see scripts/update-prices.js) and each generation has a
+ * new `generatedAt` date. Favorites are watched: the page remembers the last
+ * price seen for each, and when a newer feed shows a lower one (at or below the
+ * visitor's target, if they set one) that is reported as a drop.
+ *
+ * Loaded as a plain script it exposes `window.VRPrices`; under Node it can be
+ * required directly.
+ */
+(function (root) {
+    /**
+     * Feed entry for a product.
+     * @param {object|null} feed parsed data/prices.json
+     * @param {string} id product id
+     * @returns {{current: number, history: Array<{date: string, price: number}>}|null}
+     */
+    function priceFor(feed, id) {
+        const entry = feed && feed.prices && feed.prices[id];
+        return entry && typeof entry.current === 'number' ? entry : null;
+    }
+
+    /**
+     * Amount formatted in the feed's currency, labelled with its code, e.g.
+     * "USD 499.99" (or "499,99 USD" in German). The code stays, since the feed
+     * holds one store's prices whichever storefront the visitor shops at.
+     * @param {number} amount
+     * @param {string} [currency='USD']
+     * @param {string} [locale='en-US'] number format to use
+     * @returns {string}
+     */
+    function formatPrice(amount, currency, locale) {
+        return new Intl.NumberFormat(locale || 'en-US', {
+            style: 'currency',
+            currency: currency || 'USD',
+            currencyDisplay: 'code'
+        }).format(amount);
+    }
+
+    /**
+     * SVG polyline points drawing a price history into a width x height box, oldest
+     * on the left and the highest price at the top.
+     * @param {Array<{date: string, price: number}>} history
+     * @param {number} width
+     * @param {number} height
+     * @param {number} [padding=2] space kept clear around the line
+     * @returns {string} "x,y x,y ..." or '' with fewer than two points
+     */
+    function sparklinePoints(history, width, height, padding) {
+        if (!history || history.length < 2) return '';
+        const pad = padding === undefined ? 2 : padding;
+        const prices = history.map(point => point.price);
+        const min = Math.min.apply(null, prices);
+        const max = Math.max.apply(null, prices);
+        const span = max - min || 1;
+        const stepX = (width - pad * 2) / (history.length - 1);
+        return prices.map((price, index) => {
+            const x = pad + index * stepX;
+            // A flat history is drawn through the middle
+            const y = max === min ? height / 2 : pad + (max - price) / span * (height - pad * 2);
+            return x.toFixed(1) + ',' + y.toFixed(1);
+        }).join(' ');
+    }
+
+    /**
+     * Lowest and highest price in a history, with the date each was first seen.
+     * @param {Array<{date: string, price: number}>} history
+     * @returns {{low: {date: string, price: number}, high: {date: string, price: number}}|null}
+     */
+    function priceRange(history) {
+        if (!history || history.length === 0) return null;
+        let low = history[0];
+        let high = history[0];
+        history.forEach(point => {
+            if (point.price < low.price) low = point;
+            if (point.price > high.price) high = point;
+        });
+        return { low: low, high: high };
+    }
+
+    /**
+     * Compare watched products against the feed. A watch records the last price
+     * seen (`lastPrice`), the feed it came from (`feedDate`) and an optional
+     * `target`. New watches start from the current price. A drop is reported once
+     * per feed, and stays on the watch as `drop` until the caller clears it.
+     * @param {object|null} feed parsed data/prices.json
+     * @param {Object<string, {target?: number, lastPrice?: number, feedDate?: string, drop?: object}>} watches
+     *   product id -> watch
+     * @returns {{watches: object, drops: Array<{id: string, from: number, to: number, target: number|null}>}}
+     *   updated watches (the input is not changed) and the drops found in this feed
+     */
+    function checkWatches(feed, watches) {
+        const updated = {};
+        const drops = [];
+        Object.keys(watches || {}).forEach(id => {
+            const watch = Object.assign({}, watches[id]);
+            updated[id] = watch;
+            const entry = priceFor(feed, id);
+            if (!entry || watch.feedDate === feed.generatedAt) return;
+            const previous = watch.lastPrice;
+            const current = entry.current;
+            const target = typeof watch.target === 'number' ? watch.target : null;
+            if (typeof previous === 'number' && current < previous && (target === null || current <= target)) {
+                watch.drop = { from: previous, to: current, feedDate: feed.generatedAt };
+                drops.push({ id: id, from: previous, to: current, target: target });
+            }
+            watch.lastPrice = current;
+            watch.feedDate = feed.generatedAt;
+        });
+        return { watches: updated, drops: drops };
+    }
+
+    const VRPrices = {
+        priceFor: priceFor,
+        formatPrice: formatPrice,
+        sparklinePoints: sparklinePoints,
+        priceRange: priceRange,
+        checkWatches: checkWatches
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRPrices;
+    } else {
+        root.VRPrices = VRPrices;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,364 @@
+/*
+ * Export, import and transfer of the visitor's saved data.
+ *
+ * Everything the site remembers lives under separate keys in its store
+ * (js/storage.js). A profile bundles them into one versioned JSON document that
+ * can be downloaded, checked and loaded back, either replacing what is stored
+ * or merged with it. Merging is safe to repeat: lists are combined, counters
+ * keep the larger value and settings already chosen on this device win.
+ *
+ * A transfer code is a much shorter text (or QR code) that carries just the
+ * favorites, as product ids, for moving them to another device.
+ *
+ * Loaded as a plain script it exposes `window.VRProfile`; under Node it can be
+ * required directly.
+ */
+(function (root) {
+    const FORMAT = 'vr-gear-profile';
+    const VERSION = 3;
+    const TRANSFER_PREFIX = 'VR1:';
+
+    // Stored keys included in a profile and how each is checked and merged:
+    // list     array of strings (product ids or categories), merged as a union
+    // wishlists  array of { id, name, items: [{ id, note, qty }] } (js/wishlists.js),
+    //          merged per list id, adding the items and lists missing here
+    // points   number, merged by keeping the larger
+    // counts   object of id (or day) -> number, merged per id by keeping the larger
+    // clicks   array of { id, at } (product id, time in ms), merged as a union in time order
+    // history  array of { id, action, at } (js/recent.js), merged as a union in time order
+    // stats    { counts, distinct } as written by the achievements code
+    // unlocks  object of achievement key -> tier id or true
+    // watches  object of product id -> price watch, merged per id keeping this device's
+    // kit      the kit builder's { headset, slots } (js/kits.js), kept from this device
+    // answers  object of quiz question id -> answer id, kept from this device
+    // text, number, flag   settings, kept from this device when merging
+    const FIELDS = {
+        wishlists: 'wishlists',
+        activeWishlist: 'text',
+        compareList: 'list',
+        userPoints: 'points',
+        userStats: 'stats',
+        achievementsUnlocked: 'unlocks',
+        trendingCounts: 'counts',
+        trendingClicks: 'clicks',
+        recentlyViewed: 'history',
+        activityDays: 'counts',
+        exploredCategories: 'list',
+        quizAnswers: 'answers',
+        priceWatches: 'watches',
+        kitDraft: 'kit',
+        theme: 'text',
+        accentColor: 'text',
+        fontScale: 'number',
+        myHeadset: 'text',
+        hideIncompatible: 'flag',
+        storefront: 'text',
+        compareHideIdentical: 'flag',
+        locale: 'text'
+    };
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    function isCounts(value) {
+        return isPlainObject(value) && Object.keys(value).every(key => typeof value[key] === 'number' && value[key] >= 0);
+    }
+    // Older stats were a flat map of metric -> count
+    function normalizeStats(value) {
+        if (!isPlainObject(value)) return null;
+        if (!value.counts) return { counts: value, distinct: {} };
+        return { counts: value.counts, distinct: value.distinct || {} };
+    }
+
+    // Problem with a field's value, or null when it is valid
+    function fieldError(type, value) {
+        switch (type) {
+            case 'list':
+                return Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'must be a list of strings';
+            case 'points':
+            case 'number':
+                return typeof value === 'number' && isFinite(value) && value >= 0 ? null : 'must be a number of at least 0';
+            case 'flag':
+                return typeof value === 'boolean' ? null : 'must be true or false';
+            case 'counts':
+                return isCounts(value) ? null : 'must map products to counts';
+            case 'clicks':
+                return Array.isArray(value) && value.every(click => isPlainObject(click) &&
+                    typeof click.id === 'string' && typeof click.at === 'number' && isFinite(click.at))
+                    ? null : 'must be a list of clicks';
+            case 'history':
+                return Array.isArray(value) && value.every(entry => isPlainObject(entry) &&
+                    typeof entry.id === 'string' && typeof entry.action === 'string' &&
+                    typeof entry.at === 'number' && isFinite(entry.at))
+                    ? null : 'must be a list of viewed products';
+            case 'wishlists':
+                return Array.isArray(value) && value.every(list => isPlainObject(list) &&
+                    typeof list.id === 'string' && typeof list.name === 'string' && Array.isArray(list.items) &&
+                    list.items.every(item => isPlainObject(item) && typeof item.id === 'string'))
+                    ? null : 'must be a list of wishlists';
+            case 'stats': {
+                const stats = normalizeStats(value);
+                const distinctOk = stats && isPlainObject(stats.distinct) &&
+                    Object.keys(stats.distinct).every(key => Array.isArray(stats.distinct[key]));
+                return stats && isCounts(stats.counts) && distinctOk ? null : 'must hold counts and distinct values';
+            }
+            case 'unlocks':
+                return isPlainObject(value) && Object.keys(value).every(key => value[key] === true || typeof value[key] === 'string')
+                    ? null : 'must map achievements to tiers';
+            case 'watches':
+                return isPlainObject(value) && Object.keys(value).every(key => isPlainObject(value[key]))
+                    ? null : 'must map products to price watches';
+            case 'answers':
+                return isPlainObject(value) && Object.keys(value).every(key => typeof value[key] === 'string')
+                    ? null : 'must map quiz questions to answers';
+            case 'kit':
+                return isPlainObject(value) && isPlainObject(value.slots) &&
+                    Object.keys(value.slots).every(key => Array.isArray(value.slots[key]))
+                    ? null : 'must be a kit with slots';
+            default:
+                return typeof value === 'string' ? null : 'must be text';
+        }
+    }
+
+    /**
+     * Gather everything stored into a profile document.
+     * @param {object} store the site's store (js/storage.js)
+     * @returns {{format: string, version: number, exportedAt: string, data: object}}
+     */
+    function collectProfile(store) {
+        const data = {};
+        Object.keys(FIELDS).forEach(key => {
+            const value = store.get(key, undefined);
+            if (value !== undefined && !fieldError(FIELDS[key], value)) data[key] = value;
+        });
+        return { format: FORMAT, version: VERSION, exportedAt: new Date().toISOString(), data: data };
+    }
+
+    // Version 1 profiles referred to products by name and saved settings as text
+    function upgradeFromVersion1(data, productIdForName) {
+        const upgraded = Object.assign({}, data);
+        ['favorites', 'compareList'].forEach(key => {
+            if (Array.isArray(data[key])) upgraded[key] = data[key].map(productIdForName).filter(Boolean);
+        });
+        if (isPlainObject(data.trendingCounts)) {
+            upgraded.trendingCounts = {};
+            Object.keys(data.trendingCounts).forEach(name => {
+                const id = productIdForName(name);
+                if (id) upgraded.trendingCounts[id] = (upgraded.trendingCounts[id] || 0) + data.trendingCounts[name];
+            });
+        }
+        if (typeof data.fontScale === 'string') upgraded.fontScale = parseFloat(data.fontScale);
+        ['hideIncompatible', 'compareHideIdentical'].forEach(key => {
+            if (typeof data[key] === 'string') upgraded[key] = data[key] === 'true';
+        });
+        return upgraded;
+    }
+
+    // Version 2 profiles had a single list of favorites instead of named wishlists
+    function upgradeFromVersion2(data) {
+        const upgraded = Object.assign({}, data);
+        delete upgraded.favorites;
+        if (Array.isArray(data.favorites) && !('wishlists' in data)) {
+            upgraded.wishlists = [{
+                id: 'favorites',
+                name: 'Favorites',
+                items: data.favorites.filter(id => typeof id === 'string').map(id => ({ id: id, note: '', qty: 1 }))
+            }];
+        }
+        return upgraded;
+    }
+
+    /**
+     * Check a parsed profile document, upgrading older versions first. Unknown
+     * keys are ignored, as they may come from a newer version of the site.
+     * @param {*} doc
+     * @param {{productIdForName?: function(string): (string|null)}} [options] maps
+     *   the product names older profiles used to product ids
+     * @returns {{ok: boolean, errors: string[], data: object}} `data` holds the
+     *   valid, known fields
+     */
+    function validateProfile(doc, options) {
+        const errors = [];
+        const data = {};
+        if (!isPlainObject(doc) || doc.format !== FORMAT) {
+            return { ok: false, errors: ['This is not a VR Gear profile file.'], data: data };
+        }
+        if (typeof doc.version !== 'number' || doc.version > VERSION) {
+            return { ok: false, errors: ['This profile was saved by a newer version of the site.'], data: data };
+        }
+        if (!isPlainObject(doc.data)) {
+            return { ok: false, errors: ['The profile has no data.'], data: data };
+        }
+        const productIdForName = (options && options.productIdForName) || (name => name);
+        let source = doc.version < 2 ? upgradeFromVersion1(doc.data, productIdForName) : doc.data;
+        if (doc.version < 3) source = upgradeFromVersion2(source);
+        Object.keys(FIELDS).forEach(key => {
+            if (!(key in source)) return;
+            const problem = fieldError(FIELDS[key], source[key]);
+            if (problem) {
+                errors.push(`"${key}" ${problem}.`);
+            } else {
+                data[key] = source[key];
+            }
+        });
+        return { ok: errors.length === 0, errors: errors, data: data };
+    }
+
+    function union(a, b) {
+        return a.concat(b.filter(item => !a.includes(item)));
+    }
+    function maxCounts(a, b) {
+        const merged = Object.assign({}, a);
+        Object.keys(b).forEach(key => {
+            merged[key] = Math.max(merged[key] || 0, b[key]);
+        });
+        return merged;
+    }
+
+    /**
+     * Merge imported profile data into the current data.
+     * @param {object} current data from collectProfile(store).data
+     * @param {object} incoming validated data from validateProfile()
+     * @param {{tierRank?: function(string, *): number, maxCompare?: number}} [options]
+     *   `tierRank(key, value)` orders achievement tiers so the higher one is kept;
+     *   `maxCompare` caps the merged compare list
+     * @returns {object} merged data
+     */
+    function mergeProfiles(current, incoming, options) {
+        const opts = options || {};
+        const merged = Object.assign({}, current);
+        Object.keys(incoming).forEach(key => {
+            const mine = current[key];
+            const theirs = incoming[key];
+            if (mine === undefined) {
+                merged[key] = theirs;
+                return;
+            }
+            switch (FIELDS[key]) {
+                case 'list':
+                    merged[key] = union(mine, theirs);
+                    break;
+                case 'points':
+                    merged[key] = Math.max(mine, theirs);
+                    break;
+                case 'counts':
+                    merged[key] = maxCounts(mine, theirs);
+                    break;
+                case 'clicks': {
+                    const seen = new Set(mine.map(click => click.id + '@' + click.at));
+                    merged[key] = mine.concat(theirs.filter(click => !seen.has(click.id + '@' + click.at)))
+                        .sort((a, b) => a.at - b.at);
+                    break;
+                }
+                case 'history': {
+                    const seen = new Set(mine.map(entry => entry.id + ':' + entry.action + '@' + entry.at));
+                    merged[key] = mine.concat(theirs.filter(entry => !seen.has(entry.id + ':' + entry.action + '@' + entry.at)))
+                        .sort((a, b) => a.at - b.at);
+                    break;
+                }
+                case 'wishlists':
+                    merged[key] = theirs.reduce((lists, list) => {
+                        const existing = lists.find(entry => entry.id === list.id);
+                        if (!existing) return lists.concat([list]);
+                        const have = existing.items.map(item => item.id);
+                        const items = existing.items.concat(list.items.filter(item => !have.includes(item.id)));
+                        return lists.map(entry => (entry === existing ? Object.assign({}, entry, { items: items }) : entry));
+                    }, mine);
+                    break;
+                case 'stats': {
+                    const a = normalizeStats(mine);
+                    const b = normalizeStats(theirs);
+                    const distinct = Object.assign({}, a.distinct);
+                    Object.keys(b.distinct).forEach(field => {
+                        distinct[field] = union(distinct[field] || [], b.distinct[field]);
+                    });
+                    merged[key] = { counts: maxCounts(a.counts, b.counts), distinct: distinct };
+                    break;
+                }
+                case 'unlocks': {
+                    const rank = opts.tierRank || ((achievement, value) => (value ? 0 : -1));
+                    const unlocks = Object.assign({}, mine);
+                    Object.keys(theirs).forEach(achievement => {
+                        if (rank(achievement, theirs[achievement]) > rank(achievement, unlocks[achievement])) {
+                            unlocks[achievement] = theirs[achievement];
+                        }
+                    });
+                    merged[key] = unlocks;
+                    break;
+                }
+                case 'watches':
+                    merged[key] = Object.assign({}, theirs, mine);
+                    break;
+                default:
+                    // Settings (text, number, flag), quiz answers and the kit in progress on this device win
+                    break;
+            }
+        });
+        if (opts.maxCompare && merged.compareList) merged.compareList = merged.compareList.slice(0, opts.maxCompare);
+        return merged;
+    }
+
+    /**
+     * Write profile data to the store. With `replace`, stored keys missing from
+     * `data` are removed as well.
+     * @param {object} store the site's store (js/storage.js)
+     * @param {object} data
+     * @param {boolean} [replace]
+     */
+    function applyProfile(store, data, replace) {
+        Object.keys(FIELDS).forEach(key => {
+            if (key in data) {
+                store.set(key, data[key]);
+            } else if (replace) {
+                store.remove(key);
+            }
+        });
+    }
+
+    /**
+     * Short text code carrying a list of product ids, e.g. "VR1:kiwi-k4-mini,valve-index".
+     * @param {string[]} productIds
+     * @returns {string}
+     */
+    function encodeTransferCode(productIds) {
+        return TRANSFER_PREFIX + productIds.join(',');
+    }
+
+    /**
+     * Product ids from a transfer code, or null if it isn't one. Surrounding
+     * whitespace and a pasted link ending in "#transfer=<code>" are accepted.
+     * @param {string} text
+     * @returns {string[]|null}
+     */
+    function decodeTransferCode(text) {
+        let code = String(text || '').trim();
+        const marker = code.indexOf('#transfer=');
+        if (marker >= 0) {
+            try {
+                code = decodeURIComponent(code.slice(marker + '#transfer='.length));
+            } catch (e) {
+                // A broken escape such as "%E0%A4%A" in the link
+                return null;
+            }
+        }
+        if (code.slice(0, TRANSFER_PREFIX.length).toUpperCase() !== TRANSFER_PREFIX) return null;
+        const ids = code.slice(TRANSFER_PREFIX.length).split(',').map(id => id.trim()).filter(Boolean);
+        return ids.every(id => /^[a-z0-9-]+$/.test(id)) ? ids : null;
+    }
+
+    const VRProfile = {
+        FORMAT: FORMAT,
+        VERSION: VERSION,
+        collectProfile: collectProfile,
+        validateProfile: validateProfile,
+        mergeProfiles: mergeProfiles,
+        applyProfile: applyProfile,
+        encodeTransferCode: encodeTransferCode,
+        decodeTransferCode: decodeTransferCode
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRProfile;
+    } else {
+        root.VRProfile = VRProfile;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,90 @@
+/*
+ * Weighted scoring engine for the recommendation quiz.
+ *
+ * The quiz itself is data (data/quiz.json): questions, their answers and, per
+ * answer, weights for individual products, whole categories and price bands.
+ * Questions can carry a `when` condition so they are only asked after certain
+ * answers (e.g. play space only for fitness). The scorer ranks the whole catalog
+ * and records which answers contributed, so the page can explain each pick.
+ *
+ * Loaded as a plain script it exposes `window.VRQuiz`; under Node it can be
+ * required directly.
+ */
+(function (root) {
+    // Whether a question applies given the answers so far.
+    // `when` maps question ids to the answer ids that enable it.
+    function isQuestionActive(question, answers) {
+        if (!question.when) return true;
+        return Object.keys(question.when).every(questionId => question.when[questionId].includes(answers[questionId]));
+    }
+
+    /**
+     * The next question to ask, or null once the quiz is complete.
+     * @param {object} quiz parsed data/quiz.json
+     * @param {Object<string, string>} answers question id -> answer id
+     * @returns {object|null}
+     */
+    function nextQuestion(quiz, answers) {
+        return quiz.questions.find(question => !(question.id in answers) && isQuestionActive(question, answers)) || null;
+    }
+
+    // Points an answer gives a product from its product, category and price band weights
+    function answerPoints(answer, product) {
+        const weights = answer.weights || {};
+        const band = product.specs && product.specs.priceBand;
+        let points = 0;
+        if (weights.products && weights.products[product.id]) points += weights.products[product.id];
+        if (weights.categories && weights.categories[product.category]) points += weights.categories[product.category];
+        if (band && weights.priceBands && weights.priceBands[band]) points += weights.priceBands[band];
+        return points;
+    }
+
+    /**
+     * Rank products for a completed set of answers.
+     * @param {object} quiz parsed data/quiz.json
+     * @param {Object<string, string>} answers question id -> answer id
+     * @param {Array<object>} products catalog records to rank
+     * @returns {Array<{product: object, score: number, reasons: Array<{question: string, answer: string, reason: string, points: number}>}>}
+     *   products scoring at least `quiz.minScore`, best first, at most `quiz.maxResults`;
+     *   `reasons` lists the answers that added points, largest first
+     */
+    function scoreProducts(quiz, answers, products) {
+        const chosen = [];
+        quiz.questions.forEach(question => {
+            if (!(question.id in answers) || !isQuestionActive(question, answers)) return;
+            const answer = question.answers.find(a => a.id === answers[question.id]);
+            if (answer) chosen.push({ question: question, answer: answer });
+        });
+        const minScore = typeof quiz.minScore === 'number' ? quiz.minScore : 1;
+        const scored = [];
+        products.forEach((product, order) => {
+            let score = 0;
+            const reasons = [];
+            chosen.forEach(({ question, answer }) => {
+                const points = answerPoints(answer, product);
+                score += points;
+                if (points > 0) {
+                    reasons.push({ question: question.id, answer: answer.label, reason: answer.reason || answer.label, points: points });
+                }
+            });
+            if (score >= minScore) {
+                reasons.sort((a, b) => b.points - a.points);
+                scored.push({ product: product, score: score, reasons: reasons, order: order });
+            }
+        });
+        // Highest score first; ties keep catalog order
+        scored.sort((a, b) => b.score - a.score || a.order - b.order);
+        return scored.slice(0, quiz.maxResults || 4).map(({ product, score, reasons }) => ({ product, score, reasons }));
+    }
+
+    const VRQuiz = {
+        nextQuestion: nextQuestion,
+        isQuestionActive: isQuestionActive,
+        scoreProducts: scoreProducts
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRQuiz;
+    } else {
+        root.VRQuiz = VRQuiz;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,120 @@
+/*
+ * Recently viewed: the products a visitor looked at, and what they did with them.
+ *
+ * The history is a list of { id, action, at } entries (product id, one of
+ * ACTIONS, time in ms), oldest first. Entries older than MAX_AGE_DAYS are
+ * pruned and at most MAX_ENTRIES are kept. groupByDay() turns it into what the
+ * "Recently viewed" strip shows: one item per product and day, newest first,
+ * with every action taken on it that day.
+ *
+ * Days are the visitor's local dates, since the strip labels them "Today" and
+ * "Yesterday", as VRInsights.dayKey() gives them.
+ *
+ * Loaded as a plain script after js/insights.js it exposes `window.VRRecent`;
+ * under Node it can be required directly.
+ */
+(function (root) {
+    const VRInsights = typeof module !== 'undefined' && module.exports ? require('./insights.js') : root.VRInsights;
+    const DAY = 24 * 60 * 60 * 1000;
+    // Quick View opened, Shop Now clicked, added to the comparison
+    const ACTIONS = ['view', 'shop', 'compare'];
+    const MAX_ENTRIES = 200;
+    const MAX_AGE_DAYS = 30;
+
+    function isEntry(entry) {
+        return Boolean(entry) && typeof entry.id === 'string' && ACTIONS.includes(entry.action) &&
+            typeof entry.at === 'number' && isFinite(entry.at);
+    }
+
+    /**
+     * The entries still worth keeping: valid, not older than MAX_AGE_DAYS, and at
+     * most the MAX_ENTRIES most recent ones, oldest first.
+     * @param {Array<{id: string, action: string, at: number}>} entries
+     * @param {number} now time in ms
+     * @returns {Array<{id: string, action: string, at: number}>}
+     */
+    function prune(entries, now) {
+        const oldest = now - MAX_AGE_DAYS * DAY;
+        const kept = (Array.isArray(entries) ? entries : [])
+            .filter(entry => isEntry(entry) && entry.at >= oldest)
+            .sort((a, b) => a.at - b.at);
+        return kept.slice(Math.max(0, kept.length - MAX_ENTRIES));
+    }
+
+    /**
+     * Add an entry to the history, pruning it.
+     * @param {Array<{id: string, action: string, at: number}>} entries
+     * @param {string} productId
+     * @param {string} action one of ACTIONS
+     * @param {number} now time in ms
+     * @returns {Array<{id: string, action: string, at: number}>} a new history
+     */
+    function record(entries, productId, action, now) {
+        return prune((Array.isArray(entries) ? entries : []).concat([{ id: productId, action: action, at: now }]), now);
+    }
+
+    /**
+     * The history without a product.
+     * @param {Array<{id: string, action: string, at: number}>} entries
+     * @param {string} productId
+     * @returns {Array<{id: string, action: string, at: number}>} a new history
+     */
+    function remove(entries, productId) {
+        return (Array.isArray(entries) ? entries : []).filter(entry => entry.id !== productId);
+    }
+
+    /**
+     * The most recent entry, optionally only among those `include` accepts.
+     * @param {Array<{id: string, action: string, at: number}>} entries
+     * @param {function(object): boolean} [include]
+     * @returns {{id: string, action: string, at: number}|null}
+     */
+    function latest(entries, include) {
+        const accept = include || (() => true);
+        return (Array.isArray(entries) ? entries : [])
+            .filter(entry => isEntry(entry) && accept(entry))
+            .reduce((last, entry) => (!last || entry.at >= last.at ? entry : last), null);
+    }
+
+    /**
+     * The history by day, newest day first. Within a day each product appears
+     * once, most recently used first, with its actions in the order of ACTIONS.
+     * @param {Array<{id: string, action: string, at: number}>} entries
+     * @returns {Array<{day: string, items: Array<{id: string, actions: string[], at: number}>}>}
+     *   `at` is the product's last entry that day
+     */
+    function groupByDay(entries) {
+        const days = new Map();
+        (Array.isArray(entries) ? entries : []).filter(isEntry).forEach(entry => {
+            const day = VRInsights.dayKey(entry.at);
+            if (!days.has(day)) days.set(day, new Map());
+            const items = days.get(day);
+            const item = items.get(entry.id) || { id: entry.id, actions: [], at: entry.at };
+            if (!item.actions.includes(entry.action)) item.actions.push(entry.action);
+            item.at = Math.max(item.at, entry.at);
+            items.set(entry.id, item);
+        });
+        return Array.from(days, ([day, items]) => ({
+            day: day,
+            items: Array.from(items.values())
+                .map(item => Object.assign(item, { actions: ACTIONS.filter(action => item.actions.includes(action)) }))
+                .sort((a, b) => b.at - a.at)
+        })).sort((a, b) => (a.day < b.day ? 1 : a.day > b.day ? -1 : 0));
+    }
+
+    const VRRecent = {
+        ACTIONS: ACTIONS,
+        MAX_ENTRIES: MAX_ENTRIES,
+        MAX_AGE_DAYS: MAX_AGE_DAYS,
+        prune: prune,
+        record: record,
+        remove: remove,
+        latest: latest,
+        groupByDay: groupByDay
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRRecent;
+    } else {
+        root.VRRecent = VRRecent;
+    }
+})(typeof self !== 'undefined' ? self : this);
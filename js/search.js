@@ -0,0 +1,276 @@
+/*
+ * Ranked fuzzy search for the product catalog.
+ *
+ * Builds an in-memory index over product names, categories and feature bullets.
+ * Queries match their words in any order, tolerate small typos and understand a
+ * short synonym table. Results are ranked by relevance and carry the indexed
+ * words that matched, so the page can highlight them.
+ *
+ * Loaded as a plain script it exposes `window.VRSearch`; under Node it can be
+ * required directly.
+ */
+(function (root) {
+    // Words that are interchangeable in queries. Each group is matched as one term.
+    const SYNONYM_GROUPS = [
+        ['battery', 'power', 'charge', 'charging', 'charger', 'mah'],
+        ['earbuds', 'earphones', 'earbud', 'earphone', 'iem'],
+        ['headphones', 'headphone', 'audio', 'sound', 'speakers'],
+        ['strap', 'headstrap', 'band', 'halo'],
+        ['case', 'bag', 'carrying', 'travel'],
+        ['cable', 'cord', 'wire', 'link', 'tether'],
+        ['haptic', 'haptics', 'vibration', 'rumble', 'vest', 'suit'],
+        ['glove', 'gloves', 'hand'],
+        ['tracker', 'trackers', 'tracking', 'fbt'],
+        ['dock', 'station', 'stand'],
+        ['mat', 'rug', 'floor'],
+        ['quest', 'meta', 'oculus'],
+        ['comfort', 'comfortable', 'cushion', 'padding', 'pads'],
+        ['lens', 'lenses', 'glasses', 'prescription']
+    ];
+    // Words ignored in queries unless nothing else is left
+    const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'with', 'of', 'to', 'in', 'on', 'my', 'vr']);
+    // How much a match in each field counts towards the score
+    const FIELD_WEIGHTS = { name: 3, category: 2, features: 1 };
+    // Score of each kind of match between a query word and an indexed word
+    const MATCH_SCORES = { exact: 1, synonym: 0.9, prefix: 0.8, fuzzy: 0.6 };
+
+    // Lowercase, strip accents and turn punctuation into spaces
+    function normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+    // Very small stemmer: fold simple plurals so "straps" finds "strap"
+    function stem(word) {
+        if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) {
+            return word.slice(0, -1);
+        }
+        return word;
+    }
+    function tokenize(text) {
+        const words = normalize(text).split(' ').filter(Boolean);
+        return words.map(stem);
+    }
+    // Map each stemmed word to the stemmed words of its synonym group
+    const synonymLookup = new Map();
+    SYNONYM_GROUPS.forEach(group => {
+        const stems = group.map(word => tokenize(word).join(''));
+        stems.forEach(word => {
+            const set = synonymLookup.get(word) || new Set();
+            stems.forEach(other => {
+                if (other !== word) set.add(other);
+            });
+            synonymLookup.set(word, set);
+        });
+    });
+
+    // Optimal string alignment distance (Levenshtein plus adjacent swaps),
+    // giving up early once the distance exceeds `max`.
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let prevPrev = null;
+        let prev = [];
+        for (let j = 0; j <= b.length; j++) prev[j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+                if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, prevPrev[j - 2] + 1);
+                }
+                current[j] = value;
+                if (value < rowMin) rowMin = value;
+            }
+            if (rowMin > max) return max + 1;
+            prevPrev = prev;
+            prev = current;
+        }
+        return prev[b.length];
+    }
+    // Typos allowed for a query word of the given length
+    function allowedTypos(length) {
+        if (length >= 7) return 2;
+        if (length >= 4) return 1;
+        return 0;
+    }
+
+    /**
+     * Build a search index from catalog records.
+     * @param {Array<{id: string, name: string, category: string, features: string[]}>} products
+     * @returns {object} index to pass to search() and suggest()
+     */
+    function createIndex(products) {
+        const docs = [];
+        const vocabulary = new Map(); // stemmed word -> { count, surface }
+        (products || []).forEach(product => {
+            const fields = {
+                name: tokenize(product.name),
+                category: tokenize(product.category),
+                features: tokenize((product.features || []).join(' '))
+            };
+            docs.push({ id: product.id, name: normalize(product.name), fields: fields });
+            const surfaces = normalize([product.name, product.category].concat(product.features || []).join(' ')).split(' ');
+            surfaces.forEach(surface => {
+                if (!surface) return;
+                const word = stem(surface);
+                const entry = vocabulary.get(word) || { count: 0, surface: surface };
+                entry.count++;
+                vocabulary.set(word, entry);
+            });
+        });
+        return { docs: docs, vocabulary: vocabulary };
+    }
+
+    // Split a query into stemmed words, dropping stop words when possible
+    function queryTerms(query) {
+        const words = tokenize(query);
+        const meaningful = words.filter(word => !STOP_WORDS.has(word));
+        return meaningful.length > 0 ? meaningful : words;
+    }
+    // For one query word, score every vocabulary word it matches
+    function matchVocabulary(index, term) {
+        const matches = new Map();
+        const synonyms = synonymLookup.get(term) || new Set();
+        const maxTypos = allowedTypos(term.length);
+        index.vocabulary.forEach((entry, word) => {
+            let score = 0;
+            if (word === term) {
+                score = MATCH_SCORES.exact;
+            } else if (synonyms.has(word)) {
+                score = MATCH_SCORES.synonym;
+            } else if ((term.length >= 2 || /^\d+$/.test(term)) && word.startsWith(term)) {
+                // Numbers are prefixes at any length, so "3" finds a "3S" model
+                score = MATCH_SCORES.prefix;
+            } else if (maxTypos > 0 && editDistance(term, word, maxTypos) <= maxTypos) {
+                score = MATCH_SCORES.fuzzy;
+            }
+            if (score > 0) matches.set(word, score);
+        });
+        return matches;
+    }
+
+    /**
+     * Rank products against a query. Every query word has to match somewhere in
+     * a product for it to be returned.
+     * @param {object} index result of createIndex()
+     * @param {string} query free text typed or spoken by the visitor
+     * @returns {Array<{id: string, score: number, terms: string[]}>} best first;
+     *   `terms` are the stemmed indexed words that matched, for highlighting
+     */
+    function search(index, query) {
+        const terms = queryTerms(query);
+        if (terms.length === 0) return [];
+        const termMatches = terms.map(term => matchVocabulary(index, term));
+        const phrase = normalize(query);
+        const results = [];
+        index.docs.forEach(doc => {
+            let total = 0;
+            const matched = new Set();
+            const allMatched = termMatches.every(matches => {
+                let best = 0;
+                Object.keys(doc.fields).forEach(field => {
+                    doc.fields[field].forEach(word => {
+                        const score = matches.get(word);
+                        if (score) {
+                            matched.add(word);
+                            best = Math.max(best, score * FIELD_WEIGHTS[field]);
+                        }
+                    });
+                });
+                total += best;
+                return best > 0;
+            });
+            if (!allMatched) return;
+            // Reward the query appearing verbatim in the product name
+            if (phrase && doc.name.includes(phrase)) total += FIELD_WEIGHTS.name;
+            results.push({ id: doc.id, score: total, terms: Array.from(matched) });
+        });
+        results.sort((a, b) => b.score - a.score);
+        return results;
+    }
+
+    /**
+     * "Did you mean" suggestions for a query that found nothing. Misspelt words
+     * are replaced by the closest known word and words that match nothing are
+     * dropped; only suggestions that return results are kept.
+     * @param {object} index result of createIndex()
+     * @param {string} query
+     * @param {number} [limit=3]
+     * @returns {string[]}
+     */
+    function suggest(index, query, limit) {
+        const max = limit || 3;
+        const words = normalize(query).split(' ').filter(word => word && !STOP_WORDS.has(stem(word)));
+        if (words.length === 0) return [];
+        const corrected = words.map(word => {
+            const term = stem(word);
+            if (index.vocabulary.has(term)) return word;
+            const maxTypos = allowedTypos(term.length);
+            let best = null;
+            let bestDistance = maxTypos + 1;
+            index.vocabulary.forEach((entry, candidate) => {
+                if (STOP_WORDS.has(candidate)) return;
+                const distance = editDistance(term, candidate, maxTypos);
+                if (distance < bestDistance || (distance === bestDistance && best && entry.count > best.count)) {
+                    best = entry;
+                    bestDistance = distance;
+                }
+            });
+            return best ? best.surface : null;
+        });
+        const candidates = [];
+        const correctedQuery = corrected.filter(Boolean).join(' ');
+        if (correctedQuery) candidates.push(correctedQuery);
+        // Also try each word on its own, in case one of them can't be matched
+        corrected.forEach(word => {
+            if (word) candidates.push(word);
+        });
+        const seen = new Set([normalize(query)]);
+        const suggestions = [];
+        candidates.forEach(candidate => {
+            if (suggestions.length >= max || seen.has(candidate)) return;
+            seen.add(candidate);
+            if (search(index, candidate).length > 0) suggestions.push(candidate);
+        });
+        return suggestions;
+    }
+
+    /**
+     * Character ranges of `text` whose words are among `terms` (as returned by
+     * search()), for wrapping in <mark> elements.
+     * @param {string} text
+     * @param {string[]} terms
+     * @returns {Array<[number, number]>} [start, end) pairs in order
+     */
+    function highlightRanges(text, terms) {
+        const wanted = new Set(terms || []);
+        const ranges = [];
+        if (wanted.size === 0) return ranges;
+        const wordPattern = /[\p{L}\p{N}]+/gu;
+        let match;
+        while ((match = wordPattern.exec(text)) !== null) {
+            if (wanted.has(stem(normalize(match[0])))) {
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+        }
+        return ranges;
+    }
+
+    const VRSearch = {
+        createIndex: createIndex,
+        search: search,
+        suggest: suggest,
+        highlightRanges: highlightRanges,
+        tokenize: tokenize
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRSearch;
+    } else {
+        root.VRSearch = VRSearch;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,209 @@
+/*
+ * Versioned key-value storage over localStorage.
+ *
+ * Keys are namespaced ("vrgear.favorites") and values stored as JSON, so callers
+ * get back the arrays, numbers and flags they saved. The namespace records a
+ * schema version; opening the store runs every migration newer than it, in
+ * order, and stops at the first one that fails so it is retried next time.
+ *
+ * When the browser blocks storage (private modes, disabled cookies) or a write
+ * fails (quota full), the store switches to memory for the rest of the visit and
+ * reports it through `onFallback`, so the page keeps working.
+ *
+ * Loaded as a plain script it exposes `window.VRStorage`; under Node it can be
+ * required directly.
+ */
+(function (root) {
+    const VERSION_KEY = 'schemaVersion';
+
+    /**
+     * In-memory stand-in with the Storage methods the store uses.
+     * @returns {{getItem: function, setItem: function, removeItem: function, key: function, length: number}}
+     */
+    function createMemoryBackend() {
+        const data = new Map();
+        return {
+            getItem: key => (data.has(key) ? data.get(key) : null),
+            setItem: (key, value) => {
+                data.set(key, String(value));
+            },
+            removeItem: key => {
+                data.delete(key);
+            },
+            key: index => Array.from(data.keys())[index] || null,
+            get length() {
+                return data.size;
+            }
+        };
+    }
+
+    // Whether a backend accepts writes
+    function isWritable(backend) {
+        const probe = '__vrgear_probe__';
+        try {
+            backend.setItem(probe, '1');
+            backend.removeItem(probe);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Open a namespaced store and bring it up to date.
+     * @param {object} options
+     * @param {string} options.namespace key prefix, e.g. 'vrgear'
+     * @param {function(): Storage} options.backend returns the storage to use; reading
+     *   window.localStorage itself can throw, so it is passed as a function
+     * @param {Array<{version: number, description?: string, migrate: function(object, object): void}>} [options.migrations]
+     *   `migrate(store, legacy)` gets this store and `legacy`, raw access to
+     *   un-namespaced keys ({ get(key) -> string|null, remove(key) })
+     * @param {function(string): void} [options.onFallback] called once with
+     *   'unavailable' or 'write-failed' when data stops being persisted
+     * @returns {object} store
+     */
+    function openStore(options) {
+        const prefix = options.namespace + '.';
+        let backend = null;
+        let persistent = true;
+        let fallbackReported = false;
+
+        function reportFallback(reason) {
+            persistent = false;
+            if (fallbackReported) return;
+            fallbackReported = true;
+            if (options.onFallback) options.onFallback(reason);
+        }
+        // Carry on in memory, keeping what this namespace holds so far
+        function switchToMemory(reason) {
+            const memory = createMemoryBackend();
+            try {
+                for (let i = 0; i < backend.length; i++) {
+                    const key = backend.key(i);
+                    if (key && key.startsWith(prefix)) memory.setItem(key, backend.getItem(key));
+                }
+            } catch (e) {
+                // Nothing readable to carry over
+            }
+            backend = memory;
+            reportFallback(reason);
+        }
+
+        try {
+            backend = options.backend();
+        } catch (e) {
+            backend = null;
+        }
+        if (!backend || !isWritable(backend)) {
+            backend = createMemoryBackend();
+            reportFallback('unavailable');
+        }
+
+        /**
+         * Stored value for `key`, or `fallback` when missing or unreadable.
+         * @param {string} key
+         * @param {*} [fallback]
+         * @returns {*}
+         */
+        function get(key, fallback) {
+            try {
+                const raw = backend.getItem(prefix + key);
+                return raw === null ? fallback : JSON.parse(raw);
+            } catch (e) {
+                return fallback;
+            }
+        }
+        /**
+         * Store a JSON-serialisable value.
+         * @param {string} key
+         * @param {*} value
+         */
+        function set(key, value) {
+            const raw = JSON.stringify(value);
+            try {
+                backend.setItem(prefix + key, raw);
+            } catch (e) {
+                switchToMemory('write-failed');
+                backend.setItem(prefix + key, raw);
+            }
+        }
+        function remove(key) {
+            try {
+                backend.removeItem(prefix + key);
+            } catch (e) {
+                // Already gone as far as the page is concerned
+            }
+        }
+        /**
+         * Keys stored in this namespace, without the prefix.
+         * @returns {string[]}
+         */
+        function keys() {
+            const list = [];
+            try {
+                for (let i = 0; i < backend.length; i++) {
+                    const key = backend.key(i);
+                    if (key && key.startsWith(prefix) && key !== prefix + VERSION_KEY) list.push(key.slice(prefix.length));
+                }
+            } catch (e) {
+                // Treat an unreadable backend as empty
+            }
+            return list;
+        }
+
+        const store = {
+            get: get,
+            set: set,
+            remove: remove,
+            keys: keys,
+            /** Whether writes survive a reload */
+            get persistent() {
+                return persistent;
+            },
+            /** Schema version the stored data is at */
+            get version() {
+                return get(VERSION_KEY, 0);
+            }
+        };
+
+        const legacy = {
+            get: key => {
+                try {
+                    return backend.getItem(key);
+                } catch (e) {
+                    return null;
+                }
+            },
+            remove: key => {
+                try {
+                    backend.removeItem(key);
+                } catch (e) {
+                    // Leave it behind
+                }
+            }
+        };
+        const pending = (options.migrations || [])
+            .filter(migration => migration.version > store.version)
+            .sort((a, b) => a.version - b.version);
+        for (const migration of pending) {
+            try {
+                migration.migrate(store, legacy);
+            } catch (e) {
+                console.error(`Storage migration to version ${migration.version} failed`, e);
+                break;
+            }
+            set(VERSION_KEY, migration.version);
+        }
+        return store;
+    }
+
+    const VRStorage = {
+        openStore: openStore,
+        createMemoryBackend: createMemoryBackend
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRStorage;
+    } else {
+        root.VRStorage = VRStorage;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,119 @@
+/*
+ * Trending: which products visitors clicked through to the shop lately.
+ *
+ * Each Shop Now click is kept as { id, at } (product id, time in ms) in a click
+ * log. Within a window ("this week", "this month") products are ranked by a
+ * time-decayed score, so a click counts for less the older it is: a click
+ * HALF_LIFE_DAYS old is worth half a new one. Clicks older than the longest
+ * window are pruned, and the log never holds more than MAX_CLICKS, so it stays
+ * small in storage. All-time ranking uses the plain per-product totals, which
+ * are kept separately and never pruned.
+ *
+ * Loaded as a plain script it exposes `window.VRTrending`; under Node it can be
+ * required directly.
+ */
+(function (root) {
+    const DAY = 24 * 60 * 60 * 1000;
+    // Window name -> length in days; null means all time
+    const WINDOWS = { week: 7, month: 30, all: null };
+    const HALF_LIFE_DAYS = 7;
+    const MAX_CLICKS = 500;
+    // Clicks older than the longest window are never shown again
+    const MAX_AGE_DAYS = 30;
+
+    function isClick(click) {
+        return Boolean(click) && typeof click.id === 'string' && typeof click.at === 'number' && isFinite(click.at);
+    }
+
+    /**
+     * The clicks still worth keeping: valid, not older than MAX_AGE_DAYS, and at
+     * most the MAX_CLICKS most recent ones, oldest first.
+     * @param {Array<{id: string, at: number}>} clicks
+     * @param {number} now time in ms
+     * @returns {Array<{id: string, at: number}>}
+     */
+    function prune(clicks, now) {
+        const oldest = now - MAX_AGE_DAYS * DAY;
+        const kept = (Array.isArray(clicks) ? clicks : [])
+            .filter(click => isClick(click) && click.at >= oldest)
+            .sort((a, b) => a.at - b.at);
+        return kept.slice(Math.max(0, kept.length - MAX_CLICKS));
+    }
+
+    /**
+     * Add a click to the log, pruning it.
+     * @param {Array<{id: string, at: number}>} clicks
+     * @param {string} productId
+     * @param {number} now time in ms
+     * @returns {Array<{id: string, at: number}>} a new log
+     */
+    function recordClick(clicks, productId, now) {
+        return prune((Array.isArray(clicks) ? clicks : []).concat([{ id: productId, at: now }]), now);
+    }
+
+    /**
+     * What one click is worth after `age` ms.
+     * @param {number} age
+     * @returns {number} 1 for a new click, 0.5 after HALF_LIFE_DAYS
+     */
+    function decay(age) {
+        return Math.pow(0.5, Math.max(0, age) / (HALF_LIFE_DAYS * DAY));
+    }
+
+    /**
+     * Products ranked for a window, highest score first, then most clicks, then id.
+     * @param {object} data
+     * @param {Array<{id: string, at: number}>} data.clicks the click log
+     * @param {Object<string, number>} data.totals all-time clicks per product id
+     * @param {object} [options]
+     * @param {string} [options.window='week'] a key of WINDOWS
+     * @param {number} [options.now=Date.now()]
+     * @param {function(string): boolean} [options.include] keeps only the products
+     *   it accepts, e.g. one category
+     * @param {number} [options.limit] at most this many
+     * @returns {Array<{id: string, score: number, clicks: number}>} `clicks` counts
+     *   the clicks in the window
+     */
+    function rank(data, options) {
+        const opts = options || {};
+        const windowName = Object.prototype.hasOwnProperty.call(WINDOWS, opts.window) ? opts.window : 'week';
+        const now = typeof opts.now === 'number' ? opts.now : Date.now();
+        const include = opts.include || (() => true);
+        const entries = new Map();
+        if (WINDOWS[windowName] === null) {
+            Object.keys(data.totals || {}).forEach(id => {
+                const count = data.totals[id];
+                if (typeof count === 'number' && count > 0) entries.set(id, { id: id, score: count, clicks: count });
+            });
+        } else {
+            const since = now - WINDOWS[windowName] * DAY;
+            (data.clicks || []).forEach(click => {
+                if (!isClick(click) || click.at < since || click.at > now) return;
+                const entry = entries.get(click.id) || { id: click.id, score: 0, clicks: 0 };
+                entry.score += decay(now - click.at);
+                entry.clicks += 1;
+                entries.set(click.id, entry);
+            });
+        }
+        const ranked = Array.from(entries.values())
+            .filter(entry => include(entry.id))
+            .sort((a, b) => b.score - a.score || b.clicks - a.clicks || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        return typeof opts.limit === 'number' ? ranked.slice(0, opts.limit) : ranked;
+    }
+
+    const VRTrending = {
+        WINDOWS: WINDOWS,
+        HALF_LIFE_DAYS: HALF_LIFE_DAYS,
+        MAX_CLICKS: MAX_CLICKS,
+        MAX_AGE_DAYS: MAX_AGE_DAYS,
+        prune: prune,
+        recordClick: recordClick,
+        decay: decay,
+        rank: rank
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRTrending;
+    } else {
+        root.VRTrending = VRTrending;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,182 @@
+/*
+ * Voice commands: what a spoken sentence asks the page to do.
+ *
+ * parseCommand() turns a speech recognition transcript into a command object,
+ * e.g. "sort by popularity" -> { type: 'sort', sort: 'popularity' }. It only
+ * reads the text, so it can be tried with typed sentences (as
+ * scripts/check-voice-commands.js does); script.js carries the commands out.
+ * Anything that isn't a command comes back as a plain search.
+ *
+ * Each locale has its own grammar of sentence patterns. Categories and products
+ * are looked up through the context, so the parser needs no catalog of its own.
+ *
+ * Loaded as a plain script it exposes `window.VRVoice`; under Node it can be
+ * required directly.
+ */
+(function (root) {
+    // Sentence patterns per locale. `category`, `sort` and `compare` capture the
+    // words to look up; `favorite` tries each pattern in turn.
+    const GRAMMARS = {
+        en: {
+            quiz: /^(?:start|take|open|begin|do)(?: the| a)? quiz$/,
+            surprise: /^surprise me$/,
+            showAll: /^(?:show|list)(?: me)?(?: all| every)?(?: the)? (?:accessories|products|gear|everything|all)$|^clear(?: all)?(?: the)? filters?$/,
+            sort: /^sort(?: them| it| the list)? (?:by|on) (.+)$/,
+            compare: /^compare (.+)$/,
+            favorite: [
+                /^(?:favou?rite|star|bookmark) (.+)$/,
+                /^(?:add|save|put) (.+?) (?:to|on|in)(?: my| the)? (?:favou?rites|wishlist|list)$/
+            ],
+            category: /^(?:show|list|filter by|only show)(?: me)?(?: only)?(?: the)? (.+?)(?: (?:accessories|accessory|products|gear|items|stuff))?$/,
+            separator: /\s*,\s*|\s+(?:and|with|vs|versus|against)\s+/,
+            article: /^(?:the|a|an|my|this|that) /,
+            politeness: /^(?:please|hey|ok|okay) | please$/g,
+            sorts: {
+                default: ['default', 'default order', 'original order'],
+                alphabetical: ['name', 'names', 'alphabet', 'alphabetical', 'a to z', 'title'],
+                popularity: ['popularity', 'popular', 'most popular', 'clicks'],
+                category: ['category', 'categories', 'type']
+            }
+        },
+        de: {
+            quiz: /^(?:starte?|öffne|beginne?|mache?)(?: das)? quiz$|^quiz starten$/,
+            surprise: /^überrasch(?:e|en sie)? mich$/,
+            showAll: /^(?:zeige?|liste)(?: mir)? (?:alles|alle(?: produkte| artikel)?|(?:das ganze )?zubehör)$|^filter (?:zurücksetzen|löschen)$/,
+            sort: /^sortiere?n?(?: sie| die liste)? nach (.+)$/,
+            compare: /^vergleiche?n? (.+)$/,
+            favorite: [
+                /^(?:merke?|favorisiere?|speichere?)(?: mir)? (.+)$/,
+                /^füge? (.+?) (?:zu )?(?:den |meinen )?(?:favoriten|merkzettel|wunschliste)(?: hinzu)?$/
+            ],
+            category: /^(?:zeige?|liste)(?: mir)?(?: nur)?(?: die| das| den)? (.+?)(?:[ -]?(?:zubehör|produkte|artikel))?$/,
+            separator: /\s*,\s*|\s+(?:und|mit|gegen)\s+/,
+            article: /^(?:der|die|das|den|dem|ein|eine|einen|mein|meine|meinen) /,
+            politeness: /^(?:bitte|hallo|ok|okay) | bitte$/g,
+            sorts: {
+                default: ['standard', 'standardreihenfolge', 'reihenfolge'],
+                alphabetical: ['name', 'namen', 'alphabet', 'alphabetisch'],
+                popularity: ['beliebtheit', 'beliebt', 'klicks'],
+                category: ['kategorie', 'kategorien', 'typ']
+            }
+        }
+    };
+    const DEFAULT_LOCALE = 'en';
+    // Words in category names that don't pick out a category
+    const GENERIC_WORDS = new Set(['and', 'und', 'accessories', 'accessory', 'zubehor']);
+
+    // Lowercase, without trailing punctuation or doubled spaces
+    function clean(text) {
+        return String(text || '').toLowerCase().replace(/[.!?]+/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+    // Words for comparing names: no accents, no plural "s"
+    function words(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(word => word && !GENERIC_WORDS.has(word))
+            .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word));
+    }
+
+    // Category whose key or label shares the most words with the phrase
+    function findCategory(phrase, categories) {
+        const spoken = words(phrase);
+        let best = null;
+        let bestScore = 0;
+        Object.keys(categories || {}).forEach(category => {
+            const known = new Set(words(category + ' ' + categories[category]));
+            const score = spoken.filter(word => known.has(word)).length;
+            if (score > bestScore) {
+                best = category;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    function findSort(phrase, sorts) {
+        const padded = ' ' + phrase + ' ';
+        return Object.keys(sorts).find(sort => sorts[sort].some(name => padded.includes(' ' + name + ' '))) || null;
+    }
+
+    /**
+     * The command in a spoken sentence.
+     * @param {string} transcript what the recognizer heard
+     * @param {object} [context]
+     * @param {string} [context.locale='en'] grammar to use
+     * @param {Object<string, string>} [context.categories] category -> display label,
+     *   e.g. { Comfort: 'Comfort & Straps' }
+     * @param {function(string): (string|null)} [context.findProduct] id of the product
+     *   a spoken name refers to, or null
+     * @returns {{type: string}} one of
+     *   { type: 'category', category } (category null means show everything),
+     *   { type: 'sort', sort }, { type: 'compare', productIds, missing },
+     *   { type: 'favorite', productId }, { type: 'quiz' }, { type: 'surprise' }
+     *   or { type: 'search', query }; `missing` lists names that matched no product
+     */
+    function parseCommand(transcript, context) {
+        const options = context || {};
+        const grammar = GRAMMARS[options.locale] || GRAMMARS[DEFAULT_LOCALE];
+        const findProduct = options.findProduct || (() => null);
+        const text = clean(transcript).replace(grammar.politeness, '').trim();
+        const plainSearch = { type: 'search', query: String(transcript || '').replace(/[.!?]+$/, '').trim() };
+        const name = phrase => phrase.replace(grammar.article, '').trim();
+        if (!text) return plainSearch;
+
+        if (grammar.quiz.test(text)) return { type: 'quiz' };
+        if (grammar.surprise.test(text)) return { type: 'surprise' };
+        if (grammar.showAll.test(text)) return { type: 'category', category: null };
+
+        let match = text.match(grammar.sort);
+        if (match) {
+            const sort = findSort(match[1], grammar.sorts);
+            if (sort) return { type: 'sort', sort: sort };
+        }
+
+        match = text.match(grammar.compare);
+        if (match) {
+            const productIds = [];
+            const missing = [];
+            match[1].split(grammar.separator).map(name).filter(Boolean).forEach(part => {
+                const id = findProduct(part);
+                if (!id) {
+                    missing.push(part);
+                } else if (!productIds.includes(id)) {
+                    productIds.push(id);
+                }
+            });
+            // A name that itself contains "and" is split above; try it whole
+            if (productIds.length === 0) {
+                const id = findProduct(name(match[1]));
+                if (id) return { type: 'compare', productIds: [id], missing: [] };
+                return { type: 'search', query: name(match[1]) };
+            }
+            return { type: 'compare', productIds: productIds, missing: missing };
+        }
+
+        for (const pattern of grammar.favorite) {
+            match = text.match(pattern);
+            if (!match) continue;
+            const id = findProduct(name(match[1]));
+            return id ? { type: 'favorite', productId: id } : { type: 'search', query: name(match[1]) };
+        }
+
+        match = text.match(grammar.category);
+        if (match) {
+            const category = findCategory(match[1], options.categories);
+            return category ? { type: 'category', category: category } : { type: 'search', query: name(match[1]) };
+        }
+        return plainSearch;
+    }
+
+    const VRVoice = {
+        GRAMMARS: GRAMMARS,
+        parseCommand: parseCommand
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRVoice;
+    } else {
+        root.VRVoice = VRVoice;
+    }
+})(typeof self !== 'undefined' ? self : this);
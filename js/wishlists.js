@@ -0,0 +1,271 @@
+/*
+ * Named wishlists ("Gift for brother", "PCVR upgrade", ...).
+ *
+ * Lists are stored as an array, in the order they were created:
+ *
+ *     [{ id: 'favorites', name: 'Favorites', items: [{ id: 'valve-index', note: '', qty: 1 }] }]
+ *
+ * Items refer to products by id and keep the order the visitor gave them. The
+ * functions here never change the lists they are given; each returns updated
+ * lists for the caller to save. A list can also be shared as a read-only code
+ * carrying its name, items, notes and quantities.
+ *
+ * Loaded as a plain script it exposes `window.VRWishlists`; under Node it can be
+ * required directly.
+ */
+(function (root) {
+    const DEFAULT_LIST = { id: 'favorites', name: 'Favorites' };
+    const SHARE_PREFIX = 'WL1:';
+    const MAX_NAME = 40;
+    const MAX_NOTE = 200;
+    const MAX_QTY = 99;
+
+    function cleanName(name) {
+        return String(name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME);
+    }
+    function cleanNote(note) {
+        return String(note || '').trim().slice(0, MAX_NOTE);
+    }
+    function cleanQty(qty) {
+        const number = Math.round(Number(qty));
+        return isFinite(number) ? Math.min(Math.max(number, 1), MAX_QTY) : 1;
+    }
+    function cleanItems(items) {
+        const seen = new Set();
+        return (Array.isArray(items) ? items : []).filter(item => {
+            if (!item || typeof item.id !== 'string' || seen.has(item.id)) return false;
+            seen.add(item.id);
+            return true;
+        }).map(item => ({ id: item.id, note: cleanNote(item.note), qty: cleanQty(item.qty) }));
+    }
+    function copyList(list) {
+        return { id: list.id, name: list.name, items: list.items.map(item => Object.assign({}, item)) };
+    }
+    // Apply `change` to a copy of the list with `listId`, leaving the others as they are
+    function updateList(lists, listId, change) {
+        return lists.map(list => {
+            if (list.id !== listId) return list;
+            const copy = copyList(list);
+            change(copy);
+            return copy;
+        });
+    }
+
+    /**
+     * Stored lists made safe to use: malformed entries are dropped, items are
+     * de-duplicated and there is always at least the default list.
+     * @param {*} lists
+     * @returns {Array<{id: string, name: string, items: Array<{id: string, note: string, qty: number}>}>}
+     */
+    function normalizeLists(lists) {
+        const ids = new Set();
+        const clean = (Array.isArray(lists) ? lists : []).filter(list => {
+            if (!list || typeof list.id !== 'string' || ids.has(list.id)) return false;
+            ids.add(list.id);
+            return true;
+        }).map(list => ({
+            id: list.id,
+            name: cleanName(list.name) || DEFAULT_LIST.name,
+            items: cleanItems(list.items)
+        }));
+        return clean.length > 0 ? clean : [{ id: DEFAULT_LIST.id, name: DEFAULT_LIST.name, items: [] }];
+    }
+
+    /**
+     * Lists holding the given products, in order, as the default list.
+     * @param {string[]} productIds
+     * @returns {Array<object>}
+     */
+    function listsFromFavorites(productIds) {
+        return normalizeLists([{
+            id: DEFAULT_LIST.id,
+            name: DEFAULT_LIST.name,
+            items: productIds.map(id => ({ id: id }))
+        }]);
+    }
+
+    /**
+     * Add an empty list at the end.
+     * @param {Array<object>} lists
+     * @param {string} name
+     * @returns {{lists: Array<object>, id: string}|null} null when the name is blank
+     */
+    function createList(lists, name) {
+        const clean = cleanName(name);
+        if (!clean) return null;
+        const base = clean.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'list';
+        let id = base;
+        for (let n = 2; lists.some(list => list.id === id); n++) id = `${base}-${n}`;
+        return { lists: lists.concat([{ id: id, name: clean, items: [] }]), id: id };
+    }
+
+    /**
+     * @param {Array<object>} lists
+     * @param {string} listId
+     * @param {string} name
+     * @returns {Array<object>|null} null when the name is blank
+     */
+    function renameList(lists, listId, name) {
+        const clean = cleanName(name);
+        if (!clean) return null;
+        return updateList(lists, listId, list => {
+            list.name = clean;
+        });
+    }
+
+    /**
+     * Remove a list. Deleting the last one leaves an empty default list.
+     * @param {Array<object>} lists
+     * @param {string} listId
+     * @returns {Array<object>}
+     */
+    function deleteList(lists, listId) {
+        return normalizeLists(lists.filter(list => list.id !== listId));
+    }
+
+    /**
+     * Add a product to the end of a list, or take it out if it is already there.
+     * @param {Array<object>} lists
+     * @param {string} listId
+     * @param {string} productId
+     * @returns {{lists: Array<object>, added: boolean}}
+     */
+    function toggleItem(lists, listId, productId) {
+        let added = false;
+        const updated = updateList(lists, listId, list => {
+            const index = list.items.findIndex(item => item.id === productId);
+            if (index >= 0) {
+                list.items.splice(index, 1);
+            } else {
+                list.items.push({ id: productId, note: '', qty: 1 });
+                added = true;
+            }
+        });
+        return { lists: updated, added: added };
+    }
+
+    /**
+     * Change an item's note and/or quantity.
+     * @param {Array<object>} lists
+     * @param {string} listId
+     * @param {string} productId
+     * @param {{note?: string, qty?: number}} changes
+     * @returns {Array<object>}
+     */
+    function updateItem(lists, listId, productId, changes) {
+        return updateList(lists, listId, list => {
+            const item = list.items.find(entry => entry.id === productId);
+            if (!item) return;
+            if ('note' in changes) item.note = cleanNote(changes.note);
+            if ('qty' in changes) item.qty = cleanQty(changes.qty);
+        });
+    }
+
+    /**
+     * Move an item to another position in its list.
+     * @param {Array<object>} lists
+     * @param {string} listId
+     * @param {number} from index of the item
+     * @param {number} to index it should end up at (clamped to the list)
+     * @returns {Array<object>}
+     */
+    function moveItem(lists, listId, from, to) {
+        return updateList(lists, listId, list => {
+            if (from < 0 || from >= list.items.length) return;
+            const target = Math.min(Math.max(to, 0), list.items.length - 1);
+            const moved = list.items.splice(from, 1)[0];
+            list.items.splice(target, 0, moved);
+        });
+    }
+
+    /**
+     * Every product on any list, in list order and without repeats.
+     * @param {Array<object>} lists
+     * @returns {string[]}
+     */
+    function productIds(lists) {
+        const ids = [];
+        lists.forEach(list => list.items.forEach(item => {
+            if (!ids.includes(item.id)) ids.push(item.id);
+        }));
+        return ids;
+    }
+
+    /**
+     * Ids of the lists a product is on.
+     * @param {Array<object>} lists
+     * @param {string} productId
+     * @returns {string[]}
+     */
+    function listsWith(lists, productId) {
+        return lists.filter(list => list.items.some(item => item.id === productId)).map(list => list.id);
+    }
+
+    // Base64url of UTF-8 text, so names and notes in any language survive a URL
+    function toBase64Url(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    function fromBase64Url(code) {
+        const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+
+    /**
+     * Read-only share code for a list, e.g. "WL1:eyJuIjoi...".
+     * @param {{name: string, items: Array<{id: string, note: string, qty: number}>}} list
+     * @returns {string}
+     */
+    function encodeShareCode(list) {
+        const payload = { n: list.name, i: list.items.map(item => [item.id, item.qty, item.note]) };
+        return SHARE_PREFIX + toBase64Url(JSON.stringify(payload));
+    }
+
+    /**
+     * The list carried by a share code, or null if it isn't one. A pasted link
+     * ending in "#wishlist=<code>" is accepted too.
+     * @param {string} text
+     * @returns {{name: string, items: Array<{id: string, note: string, qty: number}>}|null}
+     */
+    function decodeShareCode(text) {
+        let code = String(text || '').trim();
+        const marker = code.indexOf('#wishlist=');
+        let payload;
+        try {
+            // A broken escape in a pasted link throws like bad base64 or JSON does
+            if (marker >= 0) code = decodeURIComponent(code.slice(marker + '#wishlist='.length));
+            if (!code.startsWith(SHARE_PREFIX)) return null;
+            payload = JSON.parse(fromBase64Url(code.slice(SHARE_PREFIX.length)));
+        } catch (e) {
+            return null;
+        }
+        if (!payload || !Array.isArray(payload.i)) return null;
+        const items = cleanItems(payload.i.map(entry => (Array.isArray(entry) ? { id: entry[0], qty: entry[1], note: entry[2] } : null)));
+        return { name: cleanName(payload.n) || DEFAULT_LIST.name, items: items };
+    }
+
+    const VRWishlists = {
+        DEFAULT_LIST_ID: DEFAULT_LIST.id,
+        normalizeLists: normalizeLists,
+        listsFromFavorites: listsFromFavorites,
+        createList: createList,
+        renameList: renameList,
+        deleteList: deleteList,
+        toggleItem: toggleItem,
+        updateItem: updateItem,
+        moveItem: moveItem,
+        productIds: productIds,
+        listsWith: listsWith,
+        encodeShareCode: encodeShareCode,
+        decodeShareCode: decodeShareCode
+    };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VRWishlists;
+    } else {
+        root.VRWishlists = VRWishlists;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -1,27 +1,390 @@
 /*
  * Custom interactive features for the VR Gear & Accessories site.
  *
+ * - Renders the product cards from the structured catalog in data/products.json,
+ *   showing the accessories a page at a time.
  * - Applies a 3D tilt effect to each product card using the VanillaTilt library.
- * - Implements a live search filter for the accessories section to help users
- *   quickly find specific items.
+ * - Implements a ranked, typo-tolerant live search for the accessories section
+ *   (see js/search.js) with match highlighting and "did you mean" suggestions.
+ * - Reports interactions through one event bus (see js/events.js) that points,
+ *   stats, trending, achievements and the insights dashboard subscribe to.
+ * - Exposes favorites, compare, the filters and Quick View to other scripts as
+ *   `window.VRStore`, with "vrstore:*" DOM events for their changes.
+ * - Keeps a history of the products viewed, clicked and compared, and offers to
+ *   continue where the visitor left off on their next visit.
  */
 
 // Wait for the DOM to load before running scripts
-document.addEventListener('DOMContentLoaded', function () {
-    // Initialize vanilla tilt on all cards for subtle 3D hover effects
-    if (typeof VanillaTilt !== 'undefined') {
-        VanillaTilt.init(document.querySelectorAll('.card'), {
+document.addEventListener('DOMContentLoaded', async function () {
+    // ================================
+    // Interaction Events
+    // ================================
+
+    // Interactions are reported once with track(name, payload); points, stats,
+    // trending and achievements subscribe to the events they care about.
+    const events = VREvents.createEventBus();
+    const track = events.track;
+    // State changes other scripts on the page may care about are also dispatched on
+    // document as "vrstore:<name>" events (see VRSTORE API at the end)
+    function emit(name, detail) {
+        document.dispatchEvent(new CustomEvent('vrstore:' + name, { detail: detail }));
+    }
+    // Forward every event to the analytics endpoint named in index.html, if any
+    (function initAnalyticsSink() {
+        const meta = document.querySelector('meta[name="analytics-endpoint"]');
+        const endpoint = meta ? meta.content.trim() : '';
+        if (endpoint) VREvents.createBeaconSink(events, { endpoint: endpoint });
+    })();
+
+    // ================================
+    // Product Catalog
+    // ================================
+
+    // Fetch and parse a JSON data file. Returns null if it can't be fetched
+    // (e.g. when the page is opened straight from disk).
+    async function loadJson(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            return await response.json();
+        } catch (e) {
+            console.error('Failed to load ' + url, e);
+            return null;
+        }
+    }
+    // Load the structured product catalog, or an empty list on failure
+    async function loadCatalog() {
+        const data = await loadJson('data/products.json');
+        return data && Array.isArray(data.products) ? data.products : [];
+    }
+    // Amazon storefront for Shop Now links: the visitor's choice, else guessed from their locale
+    function getStorefront() {
+        const saved = store.get('storefront', null);
+        if (saved && VRLinks.STOREFRONTS[saved]) return saved;
+        return VRLinks.detectStorefront(navigator.languages || [navigator.language]);
+    }
+    // Affiliate URL for a product on the current storefront (built by js/links.js)
+    function shopUrl(product) {
+        return VRLinks.buildProductUrl(product, getStorefront());
+    }
+    // Rebuild every Shop Now link, e.g. after the storefront changes, including the
+    // ones on accessory cards that aren't on the current page
+    function refreshShopLinks() {
+        const links = new Set(document.querySelectorAll('a[data-product]'));
+        cardsById.forEach(card => card.querySelectorAll('a[data-product]').forEach(link => links.add(link)));
+        links.forEach(link => {
+            const product = productsById[link.dataset.product];
+            if (product) link.href = shopUrl(product);
+        });
+    }
+    // Build the card markup for a single catalog record
+    function createProductCard(product) {
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.dataset.id = product.id;
+        card.dataset.category = product.category;
+        card.dataset.name = product.name;
+        if (product.image) {
+            const img = document.createElement('img');
+            img.className = 'card-image';
+            img.src = product.image;
+            img.alt = product.name;
+            img.loading = 'lazy';
+            card.appendChild(img);
+        }
+        const heading = document.createElement('h3');
+        heading.textContent = product.title || product.name;
+        card.appendChild(heading);
+        // Current price from the price feed (js/prices.js), when it lists the product
+        const price = VRPrices.priceFor(priceFeed, product.id);
+        if (price) {
+            const priceEl = document.createElement('p');
+            priceEl.className = 'card-price';
+            priceEl.textContent = formatFeedPrice(price.current);
+            card.appendChild(priceEl);
+        }
+        const features = document.createElement('ul');
+        (product.features || []).forEach(text => {
+            const li = document.createElement('li');
+            li.textContent = text;
+            features.appendChild(li);
+        });
+        card.appendChild(features);
+        const shopLink = document.createElement('a');
+        shopLink.className = 'btn';
+        shopLink.dataset.product = product.id;
+        shopLink.href = shopUrl(product);
+        shopLink.target = '_blank';
+        shopLink.rel = 'noopener sponsored';
+        shopLink.textContent = t('card.shopNow');
+        card.appendChild(shopLink);
+        return card;
+    }
+    // Build a card for every product and register it by id. Headsets go straight into
+    // their grid; accessories are put on the page a page at a time by filterCards().
+    function renderCatalog(products) {
+        const headsetsGrid = document.getElementById('headsets-grid');
+        const accessoriesGrid = document.getElementById('accessories-grid');
+        products.forEach(product => {
+            const card = createProductCard(product);
+            cardsById.set(product.id, card);
+            if (product.category === 'Headsets' && headsetsGrid) headsetsGrid.appendChild(card);
+        });
+        if (products.length === 0 && accessoriesGrid) {
+            const message = document.createElement('p');
+            message.className = 'catalog-error';
+            message.textContent = t('catalog.loadError');
+            accessoriesGrid.appendChild(message);
+        }
+    }
+    const [sourceCatalog, sourceQuiz, loadedRules, priceFeed, loadedKitRules] = await Promise.all([
+        loadCatalog(),
+        loadJson('data/quiz.json'),
+        loadJson('data/gamification.json'),
+        loadJson('data/prices.json'),
+        loadJson('data/kits.json')
+    ]);
+
+    // ================================
+    // Saved Data
+    // ================================
+
+    // Everything the site remembers goes through one namespaced, versioned store
+    // (js/storage.js). Migrations bring older saves up to date; add a new one with
+    // the next version number rather than changing a released one.
+
+    // How each key saved before the store existed was written
+    const legacyKeys = {
+        favorites: 'json',
+        compareList: 'json',
+        userPoints: 'number',
+        userStats: 'json',
+        dailyStats: 'json',
+        achievementsUnlocked: 'json',
+        trendingCounts: 'json',
+        theme: 'text',
+        accentColor: 'text',
+        fontScale: 'number',
+        myHeadset: 'text',
+        hideIncompatible: 'flag',
+        storefront: 'text',
+        compareHideIdentical: 'flag'
+    };
+    function parseLegacyValue(type, raw) {
+        if (type === 'number') {
+            const number = parseFloat(raw);
+            return isNaN(number) ? undefined : number;
+        }
+        if (type === 'flag') return raw === 'true';
+        if (type === 'text') return raw;
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            return undefined;
+        }
+    }
+    // Product id for a name saved before products were referred to by id
+    function productIdForName(name) {
+        const product = sourceCatalog.find(p => p.name === name || p.title === name);
+        return product ? product.id : null;
+    }
+    const storageMigrations = [
+        {
+            version: 1,
+            description: 'Move the original un-namespaced keys into the store',
+            migrate(store, legacy) {
+                Object.keys(legacyKeys).forEach(key => {
+                    const raw = legacy.get(key);
+                    if (raw === null) return;
+                    const value = parseLegacyValue(legacyKeys[key], raw);
+                    if (value !== undefined) store.set(key, value);
+                    legacy.remove(key);
+                });
+            }
+        },
+        {
+            version: 2,
+            description: 'Refer to products by id instead of name, and give stats their own shape',
+            migrate(store) {
+                // Names can only be matched against the catalog; try again next visit without it
+                if (sourceCatalog.length === 0) throw new Error('Catalog not loaded');
+                ['favorites', 'compareList'].forEach(key => {
+                    const ids = store.get(key, []).map(productIdForName).filter(Boolean);
+                    store.set(key, ids.filter((id, index) => ids.indexOf(id) === index));
+                });
+                const counts = {};
+                Object.entries(store.get('trendingCounts', {})).forEach(([name, count]) => {
+                    const id = productIdForName(name);
+                    if (id) counts[id] = (counts[id] || 0) + count;
+                });
+                store.set('trendingCounts', counts);
+                const stats = store.get('userStats', null);
+                if (stats && !stats.counts) store.set('userStats', { counts: stats, distinct: {} });
+            }
+        },
+        {
+            version: 3,
+            description: 'Keep favorites on named wishlists',
+            migrate(store) {
+                store.set('wishlists', VRWishlists.listsFromFavorites(store.get('favorites', [])));
+                store.remove('favorites');
+            }
+        }
+    ];
+    const store = VRStorage.openStore({
+        namespace: 'vrgear',
+        backend: () => localStorage,
+        migrations: storageMigrations,
+        onFallback: showStorageWarning
+    });
+    // Per-session counters (for "in one session" achievements)
+    const sessionStore = VRStorage.openStore({ namespace: 'vrgear', backend: () => sessionStorage });
+    // Tell the visitor their changes will be lost when they leave
+    function showStorageWarning() {
+        const warning = document.getElementById('storage-warning');
+        if (warning) warning.hidden = false;
+    }
+
+    // ================================
+    // Language
+    // ================================
+
+    // Interface strings come from data/i18n/<locale>.json (js/i18n.js), with English
+    // filling any gaps. The visitor's pick is saved; until then the browser's
+    // preferred languages decide.
+    function getLocale() {
+        const saved = store.get('locale', null);
+        if (saved && VRI18n.LOCALES[saved]) return saved;
+        return VRI18n.detectLocale(navigator.languages || [navigator.language]);
+    }
+    const locale = getLocale();
+    const [localeMessages, fallbackMessages] = await Promise.all([
+        loadJson(`data/i18n/${locale}.json`),
+        locale === VRI18n.DEFAULT_LOCALE ? null : loadJson(`data/i18n/${VRI18n.DEFAULT_LOCALE}.json`)
+    ]);
+    const t = VRI18n.createTranslator(locale, localeMessages, fallbackMessages);
+    // Strings from the other data files are English there; a locale's messages can
+    // translate them under keys like "quiz.useCase.question" or "kit.slot.strap.label"
+    function tData(key, english) {
+        return t.has(key) ? t(key) : english;
+    }
+    function localizeQuiz(data) {
+        if (!data) return null;
+        return Object.assign({}, data, {
+            questions: data.questions.map(question => Object.assign({}, question, {
+                question: tData(`quiz.${question.id}.question`, question.question),
+                answers: question.answers.map(answer => Object.assign({}, answer, {
+                    label: tData(`quiz.${question.id}.${answer.id}.label`, answer.label),
+                    reason: tData(`quiz.${question.id}.${answer.id}.reason`, answer.reason)
+                }))
+            }))
+        });
+    }
+    function localizeRules(data) {
+        return Object.assign({}, data, {
+            levels: data.levels.map(level => Object.assign({}, level, { label: tData(`level.${level.points}`, level.label) })),
+            achievements: data.achievements.map(def => Object.assign({}, def, {
+                title: tData(`achievement.${def.key}.title`, def.title),
+                desc: tData(`achievement.${def.key}.desc`, def.desc)
+            }))
+        });
+    }
+    function localizeKitRules(data) {
+        return Object.assign({}, data, {
+            slots: data.slots.map(slot => Object.assign({}, slot, {
+                label: tData(`kit.slot.${slot.id}.label`, slot.label),
+                hint: tData(`kit.slot.${slot.id}.hint`, slot.hint || '')
+            })),
+            conflicts: (data.conflicts || []).map(conflict => Object.assign({}, conflict, {
+                message: tData(`kit.conflict.${conflict.id}`, conflict.message)
+            }))
+        });
+    }
+    // Catalog records with their translations applied (names, ids and specs stay as they are)
+    const catalog = sourceCatalog.map(product => VRI18n.localizeProduct(product, locale));
+    const quiz = localizeQuiz(sourceQuiz);
+    // Points, levels and achievements (js/gamification.js); without the rules file
+    // nothing is awarded
+    const rules = localizeRules(loadedRules || { points: {}, metrics: {}, levels: [], achievements: [] });
+    // Kit builder slots and conflicts (js/kits.js); without them the builder is hidden
+    const kitRules = localizeKitRules(loadedKitRules || { slots: [], conflicts: [] });
+    // Lookup of catalog records by their stable id
+    const productsById = {};
+    catalog.forEach(product => {
+        productsById[product.id] = product;
+    });
+    // Each product's card by id, whether or not it is on the page right now
+    const cardsById = new Map();
+    // Static text in index.html carries its message key: data-i18n="key" for the text,
+    // data-i18n-attr="placeholder:key;aria-label:key" for attributes
+    function translatePage(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            if (t.has(el.dataset.i18n)) el.textContent = t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+            el.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attr, key] = pair.split(':');
+                if (attr && key && t.has(key)) el.setAttribute(attr, t(key));
+            });
+        });
+    }
+    document.documentElement.lang = locale;
+    translatePage(document);
+    // Language picker in the header; the page reloads so everything is rebuilt in the new language
+    (function initLocaleSelect() {
+        const localeSelect = document.getElementById('locale-select');
+        if (!localeSelect) return;
+        Object.keys(VRI18n.LOCALES).forEach(code => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = VRI18n.LOCALES[code].label;
+            option.lang = code;
+            localeSelect.appendChild(option);
+        });
+        localeSelect.value = locale;
+        localeSelect.addEventListener('change', () => {
+            store.set('locale', localeSelect.value);
+            location.reload();
+        });
+    })();
+
+    renderCatalog(catalog);
+
+    // Storefront override next to the affiliate disclosure
+    (function initStorefrontSelect() {
+        const storefrontSelect = document.getElementById('storefront-select');
+        if (!storefrontSelect) return;
+        Object.keys(VRLinks.STOREFRONTS).forEach(storeId => {
+            const option = document.createElement('option');
+            option.value = storeId;
+            option.textContent = VRLinks.STOREFRONTS[storeId].label;
+            storefrontSelect.appendChild(option);
+        });
+        storefrontSelect.value = getStorefront();
+        storefrontSelect.addEventListener('change', () => {
+            store.set('storefront', storefrontSelect.value);
+            refreshShopLinks();
+        });
+    })();
+
+    // Subtle 3D hover effect for cards as they reach the page (VanillaTilt skips
+    // cards it has already set up)
+    function tiltCards(cards) {
+        if (typeof VanillaTilt === 'undefined' || cards.length === 0) return;
+        VanillaTilt.init(cards, {
             max: 15,
             speed: 400,
             glare: true,
             'max-glare': 0.2,
         });
     }
+    tiltCards(Array.from(document.querySelectorAll('.card')));
 
-    // Elements for search and category filtering
+    // Elements for search and faceted filtering
     const searchInput = document.getElementById('search-input');
-    const categoryFilter = document.getElementById('category-filter');
-    const accessoryCards = Array.from(document.querySelectorAll('#accessories-grid .card'));
+    const facetPanel = document.getElementById('facet-panel');
+    // Accessory cards in catalog order
+    const accessoryCards = catalog.filter(product => product.category !== 'Headsets').map(product => cardsById.get(product.id));
 
     // Voice search button
     const voiceBtn = document.getElementById('voice-search-btn');
@@ -40,52 +403,38 @@ document.addEventListener('DOMContentLoaded', function () {
         const recognition = new SpeechRecognition();
         recognition.interimResults = false;
         recognition.continuous = false;
-        recognition.lang = 'en-US';
+        // Listen in the interface language
+        recognition.lang = VRI18n.LOCALES[locale].speech;
         // Start recognition on click
         voiceBtn.addEventListener('click', () => {
             try {
-                voiceBtn.textContent = '🎤 Listening…';
+                voiceBtn.textContent = t('voice.listening');
                 recognition.start();
             } catch (e) {
                 console.error('Speech recognition error', e);
-                voiceBtn.textContent = '🎤 Voice Search';
+                voiceBtn.textContent = t('voice.button');
             }
         });
-        // On successful result, set search input and filter
+        // On a result, carry out the spoken command; anything else is searched for
         recognition.addEventListener('result', (event) => {
             const transcript = event.results[0][0].transcript;
-            if (searchInput) {
-                searchInput.value = transcript;
-                filterCards();
-            }
-            // Award points for using voice search
-            try {
-                if (typeof addPoints === 'function') {
-                    addPoints(1);
-                }
-            } catch (e) {}
-            // Record voice search usage and check achievements
-            try {
-                if (typeof incrementStat === 'function' && typeof checkAchievements === 'function') {
-                    incrementStat('voiceSearches');
-                    checkAchievements();
-                }
-            } catch (e) {}
+            const command = runVoiceCommand(transcript);
+            track('voice_search', { query: transcript, command: command.type });
         });
         recognition.addEventListener('end', () => {
-            voiceBtn.textContent = '🎤 Voice Search';
+            voiceBtn.textContent = t('voice.button');
         });
         recognition.addEventListener('error', (e) => {
             console.error('Speech recognition error', e);
-            voiceBtn.textContent = '🎤 Voice Search';
+            voiceBtn.textContent = t('voice.button');
         });
     })();
 
     // Initialize font size slider
     (function initFontSlider() {
         if (!fontSizeSlider) return;
-        // Load saved scale from localStorage or default to 1
-        let savedScale = parseFloat(localStorage.getItem('fontScale'));
+        // Load saved scale or default to 1
+        let savedScale = parseFloat(store.get('fontScale', 1));
         if (!savedScale || isNaN(savedScale)) savedScale = 1;
         fontSizeSlider.value = savedScale;
         document.documentElement.style.fontSize = (savedScale * 100) + '%';
@@ -93,37 +442,393 @@ document.addEventListener('DOMContentLoaded', function () {
         fontSizeSlider.addEventListener('input', () => {
             const scale = parseFloat(fontSizeSlider.value);
             document.documentElement.style.fontSize = (scale * 100) + '%';
-            localStorage.setItem('fontScale', scale);
+            store.set('fontScale', scale);
+        });
+    })();
+
+    // Ranked fuzzy search index over accessory names, categories and features (js/search.js)
+    const searchIndex = VRSearch.createIndex(catalog.filter(product => product.category !== 'Headsets'));
+    const searchEmpty = document.getElementById('search-empty');
+
+    // Wrap the matched words of a card's heading and bullets in <mark> elements
+    function highlightCard(card, terms) {
+        card.querySelectorAll('h3, li').forEach(el => {
+            const text = el.textContent;
+            const ranges = terms ? VRSearch.highlightRanges(text, terms) : [];
+            if (ranges.length === 0) {
+                if (el.querySelector('mark')) el.textContent = text;
+                return;
+            }
+            el.textContent = '';
+            let last = 0;
+            ranges.forEach(([start, end]) => {
+                if (start > last) el.appendChild(document.createTextNode(text.slice(last, start)));
+                const mark = document.createElement('mark');
+                mark.className = 'search-hit';
+                mark.textContent = text.slice(start, end);
+                el.appendChild(mark);
+                last = end;
+            });
+            if (last < text.length) el.appendChild(document.createTextNode(text.slice(last)));
+        });
+    }
+    // Run a search for a suggested query as if the visitor had typed it
+    function applySuggestedQuery(query) {
+        if (!searchInput) return;
+        searchInput.value = query;
+        filterCards();
+        syncUrlState(true);
+    }
+    // Show the empty-result message with "did you mean" suggestions
+    function updateSearchEmptyState(query, results, visibleCount) {
+        if (!searchEmpty) return;
+        searchEmpty.innerHTML = '';
+        if (visibleCount > 0 || !query) {
+            searchEmpty.style.display = 'none';
+            return;
+        }
+        searchEmpty.style.display = 'block';
+        const message = document.createElement('p');
+        message.textContent = t('search.noMatch', { query: query });
+        searchEmpty.appendChild(message);
+        const options = document.createElement('p');
+        if (results && results.length > 0) {
+            // Nothing is visible, so any results are hidden by the active facets
+            const allBtn = document.createElement('button');
+            allBtn.className = 'suggestion-btn';
+            allBtn.textContent = t('search.clearFiltersToShow', { count: results.length });
+            allBtn.addEventListener('click', clearAllFacets);
+            options.appendChild(allBtn);
+        } else {
+            const suggestions = VRSearch.suggest(searchIndex, query);
+            if (suggestions.length === 0) return;
+            options.appendChild(document.createTextNode(t('search.didYouMean') + ' '));
+            suggestions.forEach(suggestion => {
+                const btn = document.createElement('button');
+                btn.className = 'suggestion-btn';
+                btn.textContent = suggestion;
+                btn.addEventListener('click', () => applySuggestedQuery(suggestion));
+                options.appendChild(btn);
+            });
+        }
+        searchEmpty.appendChild(options);
+    }
+    /**
+     * FACETED FILTERING
+     *
+     * Replaces the single category select with a panel of checkbox facets: category,
+     * headset compatibility and price band. Options within a facet are OR-ed, facets
+     * are AND-ed with each other and with the search box. Each option shows how many
+     * accessories it would leave given the other active filters.
+     */
+    // Display name of a catalog category, e.g. "Comfort & Straps"
+    function categoryLabel(category) {
+        return tData('category.' + category, category);
+    }
+    const categoryLabels = {};
+    ['Comfort', 'Audio', 'Battery', 'Haptics', 'Controllers', 'Trackers', 'Cases', 'Cables', 'Fitness', 'Misc'].forEach(category => {
+        categoryLabels[category] = categoryLabel(category);
+    });
+    const priceBandLabels = { low: t('priceBand.low'), medium: t('priceBand.medium'), high: t('priceBand.high') };
+    // Facet definitions: `values` lists [value, label] pairs, `matches` tests one value
+    const facetDefs = [
+        {
+            key: 'category',
+            label: t('facets.category'),
+            values: Object.entries(categoryLabels),
+            matches: (product, value) => product.category === value
+        },
+        {
+            key: 'compat',
+            label: t('facets.compat'),
+            values: catalog.filter(p => p.category === 'Headsets').map(p => [p.id, p.name]),
+            matches: (product, value) => {
+                const compat = (product.specs && product.specs.compatibility) || [];
+                return compat.includes('*') || compat.includes(value);
+            }
+        },
+        {
+            key: 'price',
+            label: t('facets.price'),
+            values: Object.entries(priceBandLabels),
+            matches: (product, value) => Boolean(product.specs) && product.specs.priceBand === value
+        }
+    ];
+    // Selected values per facet key
+    const activeFacets = {};
+    facetDefs.forEach(def => {
+        activeFacets[def.key] = new Set();
+    });
+    // Whether a product passes every active facet, optionally ignoring one facet
+    function matchesFacets(product, exceptKey) {
+        return facetDefs.every(def => {
+            const selected = activeFacets[def.key];
+            if (def.key === exceptKey || selected.size === 0) return true;
+            return Array.from(selected).some(value => def.matches(product, value));
+        });
+    }
+    function hasActiveFacets() {
+        return facetDefs.some(def => activeFacets[def.key].size > 0);
+    }
+    // Build the facet panel once; counts and checked states are refreshed by updateFacetPanel()
+    function renderFacetPanel() {
+        if (!facetPanel) return;
+        facetPanel.innerHTML = '';
+        facetDefs.forEach(def => {
+            const group = document.createElement('fieldset');
+            group.className = 'facet-group';
+            group.dataset.facet = def.key;
+            const legend = document.createElement('legend');
+            legend.textContent = def.label;
+            group.appendChild(legend);
+            def.values.forEach(([value, label]) => {
+                const option = document.createElement('label');
+                option.className = 'facet-option';
+                const input = document.createElement('input');
+                input.type = 'checkbox';
+                input.value = value;
+                input.addEventListener('change', () => {
+                    if (input.checked) {
+                        activeFacets[def.key].add(value);
+                    } else {
+                        activeFacets[def.key].delete(value);
+                    }
+                    filterCards();
+                    syncUrlState(true);
+                    if (def.key === 'category' && input.checked) {
+                        track('category_changed', { category: value });
+                    }
+                });
+                const text = document.createElement('span');
+                text.textContent = label;
+                const count = document.createElement('span');
+                count.className = 'facet-count';
+                option.appendChild(input);
+                option.appendChild(text);
+                option.appendChild(count);
+                group.appendChild(option);
+            });
+            facetPanel.appendChild(group);
+        });
+        const clearBtn = document.createElement('button');
+        clearBtn.type = 'button';
+        clearBtn.id = 'clear-facets';
+        clearBtn.className = 'facet-clear';
+        clearBtn.textContent = t('facets.clearAll');
+        clearBtn.addEventListener('click', clearAllFacets);
+        facetPanel.appendChild(clearBtn);
+    }
+    // Refresh checkbox states and live counts for the current search results
+    function updateFacetPanel(resultsById) {
+        if (!facetPanel) return;
+        const candidates = catalog.filter(p => p.category !== 'Headsets' && passesHeadsetFilter(p) && (!resultsById || resultsById.has(p.id)));
+        facetDefs.forEach(def => {
+            const base = candidates.filter(product => matchesFacets(product, def.key));
+            facetPanel.querySelectorAll(`[data-facet="${def.key}"] input`).forEach(input => {
+                const count = base.filter(product => def.matches(product, input.value)).length;
+                input.checked = activeFacets[def.key].has(input.value);
+                input.disabled = count === 0 && !input.checked;
+                input.parentElement.querySelector('.facet-count').textContent = `(${t.number(count)})`;
+                input.parentElement.classList.toggle('facet-empty', input.disabled);
+            });
+        });
+        const clearBtn = document.getElementById('clear-facets');
+        if (clearBtn) clearBtn.disabled = !hasActiveFacets();
+    }
+    function clearAllFacets() {
+        facetDefs.forEach(def => activeFacets[def.key].clear());
+        filterCards();
+        syncUrlState(true);
+    }
+    renderFacetPanel();
+
+    /**
+     * MY HEADSET
+     *
+     * Visitors pick their headset once, from the selector above the accessories or the
+     * "This is mine" button on a headset card. The choice is saved and used to flag (or,
+     * optionally, hide) accessories that don't fit it, and to keep Surprise Me, the quiz
+     * and the compare table honest. Fit comes from each product's `specs.compatibility`.
+     */
+    const myHeadsetSelect = document.getElementById('my-headset-select');
+    const hideIncompatibleToggle = document.getElementById('hide-incompatible');
+    function getMyHeadset() {
+        const id = store.get('myHeadset', null);
+        return id && productsById[id] ? id : null;
+    }
+    function getHideIncompatible() {
+        return store.get('hideIncompatible', false) === true;
+    }
+    // true if the product fits the saved headset, false if it doesn't, null if unknown
+    // (or no headset is chosen / the product is a headset itself)
+    function fitsMyHeadset(product) {
+        const headset = getMyHeadset();
+        if (!headset || !product || product.category === 'Headsets') return null;
+        const compat = product.specs && product.specs.compatibility;
+        if (!Array.isArray(compat) || compat.length === 0) return null;
+        return compat.includes('*') || compat.includes(headset);
+    }
+    // In "hide" mode only accessories known to fit stay visible
+    function passesHeadsetFilter(product) {
+        if (!getMyHeadset() || !getHideIncompatible() || product.category === 'Headsets') return true;
+        return fitsMyHeadset(product) === true;
+    }
+    function setMyHeadset(id) {
+        if (id) {
+            store.set('myHeadset', id);
+        } else {
+            store.remove('myHeadset');
+        }
+        updateMyHeadsetUI();
+        filterCards();
+    }
+    // Sync the selector, the headset cards and the fit badges on accessory cards
+    function updateMyHeadsetUI() {
+        const headset = getMyHeadset();
+        const headsetName = headset ? productsById[headset].name : '';
+        if (myHeadsetSelect) myHeadsetSelect.value = headset || '';
+        if (hideIncompatibleToggle) {
+            hideIncompatibleToggle.checked = getHideIncompatible();
+            hideIncompatibleToggle.disabled = !headset;
+        }
+        document.querySelectorAll('#headsets-grid .card').forEach(card => {
+            const mine = card.dataset.id === headset;
+            card.classList.toggle('my-headset', mine);
+            const btn = card.querySelector('.mine-btn');
+            if (btn) {
+                btn.textContent = mine ? t('myHeadset.mine') : t('myHeadset.thisIsMine');
+                btn.setAttribute('aria-pressed', mine ? 'true' : 'false');
+            }
+        });
+        accessoryCards.forEach(card => {
+            const existing = card.querySelector('.compat-flag');
+            if (existing) existing.remove();
+            const fits = fitsMyHeadset(productsById[card.dataset.id]);
+            card.classList.toggle('incompatible', fits === false);
+            if (fits === true || !headset) return;
+            const flag = document.createElement('p');
+            flag.className = 'compat-flag' + (fits === false ? ' compat-no' : ' compat-unknown');
+            flag.textContent = t(fits === false ? 'fit.no' : 'fit.unknown', { headset: headsetName });
+            const heading = card.querySelector('h3');
+            if (heading) heading.after(flag);
+        });
+    }
+    (function initMyHeadset() {
+        if (myHeadsetSelect) {
+            catalog.filter(p => p.category === 'Headsets').forEach(headset => {
+                const option = document.createElement('option');
+                option.value = headset.id;
+                option.textContent = headset.name;
+                myHeadsetSelect.appendChild(option);
+            });
+            myHeadsetSelect.addEventListener('change', () => setMyHeadset(myHeadsetSelect.value));
+        }
+        if (hideIncompatibleToggle) {
+            hideIncompatibleToggle.addEventListener('change', () => {
+                store.set('hideIncompatible', hideIncompatibleToggle.checked);
+                filterCards();
+            });
+        }
+        // "This is mine" buttons on the headset cards (clicks are handled by the grid)
+        document.querySelectorAll('#headsets-grid .card').forEach(card => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'mine-btn';
+            btn.setAttribute('aria-label', t('myHeadset.buttonLabel', { name: card.dataset.name }));
+            card.appendChild(btn);
         });
+        updateMyHeadsetUI();
     })();
 
-    // Combined filter function
+    /**
+     * ACCESSORY PAGES
+     *
+     * Only part of the matching accessories is in the grid at a time: the first page,
+     * plus one more each time "Load more" is pressed. Filtering and sorting work on
+     * the registered cards and the catalog data, so they cost the same however few
+     * cards are on the page.
+     */
+    const ACCESSORY_PAGE_SIZE = 24;
+    const accessoriesGrid = document.getElementById('accessories-grid');
+    const accessoryCount = document.getElementById('accessory-count');
+    const loadMoreBtn = document.getElementById('load-more-btn');
+    // Cards passing the search and filters, in display order, and how many are shown
+    let matchingCards = [];
+    let shownCount = 0;
+    // Matched search terms per product id, for highlighting
+    let searchTerms = new Map();
+    // The filters as last announced, to tell other scripts only about real changes
+    let announcedFilters = null;
+    // Add cards to the end of the grid, bringing their stars and checkboxes up to date
+    function appendAccessories(cards) {
+        cards.forEach(card => {
+            highlightCard(card, searchTerms.get(card.dataset.id) || null);
+            accessoriesGrid.appendChild(card);
+        });
+        updateCardFavoriteIcons(cards);
+        updateCompareIcons(cards);
+        tiltCards(cards);
+    }
+    // Put the first page of matches in the grid in place of what was there
+    function renderAccessories() {
+        shownCount = Math.min(ACCESSORY_PAGE_SIZE, matchingCards.length);
+        if (!accessoriesGrid || accessoryCards.length === 0) return;
+        const shown = matchingCards.slice(0, shownCount);
+        const keep = new Set(shown);
+        Array.from(accessoriesGrid.children).forEach(el => {
+            if (keep.has(el)) return;
+            if (el.classList.contains('card')) highlightCard(el, null);
+            el.remove();
+        });
+        appendAccessories(shown);
+        updateAccessoryPager();
+    }
+    function loadMoreAccessories() {
+        const next = matchingCards.slice(shownCount, shownCount + ACCESSORY_PAGE_SIZE);
+        if (!accessoriesGrid || next.length === 0) return;
+        shownCount += next.length;
+        appendAccessories(next);
+        updateAccessoryPager();
+        refreshRovingFocus();
+        // Once the button goes away, keep keyboard users at the first new card
+        if (loadMoreBtn && loadMoreBtn.hidden && document.activeElement === loadMoreBtn) {
+            setGridTabStop(next[0]);
+            next[0].focus();
+        }
+    }
+    // "Showing 24 of 312 accessories" and the Load more button
+    function updateAccessoryPager() {
+        if (accessoryCount) {
+            accessoryCount.hidden = matchingCards.length === 0;
+            accessoryCount.textContent = t('accessories.showing', { shown: shownCount, count: matchingCards.length });
+        }
+        if (loadMoreBtn) loadMoreBtn.hidden = shownCount >= matchingCards.length;
+    }
+    if (loadMoreBtn) loadMoreBtn.addEventListener('click', loadMoreAccessories);
+
+    // Combined filter function: facets plus ranked search, best matches first
     function filterCards() {
-        const query = searchInput ? searchInput.value.trim().toLowerCase() : '';
-        const selectedCategory = categoryFilter ? categoryFilter.value : 'All';
-        accessoryCards.forEach((card) => {
-            const text = card.textContent.toLowerCase();
-            const cardCategory = card.dataset.category;
-            const matchesCategory = selectedCategory === 'All' || cardCategory === selectedCategory;
-            const matchesQuery = text.includes(query);
-            card.style.display = (matchesCategory && matchesQuery) ? '' : 'none';
+        const query = searchInput ? searchInput.value.trim() : '';
+        const results = query ? VRSearch.search(searchIndex, query) : null;
+        const resultsById = new Map((results || []).map(result => [result.id, result]));
+        // Relevance order while a query is active, the chosen sort otherwise
+        const ordered = results ? results.map(result => cardsById.get(result.id)).filter(Boolean) : sortCards(accessoryCards);
+        matchingCards = ordered.filter(card => {
+            const product = productsById[card.dataset.id];
+            return Boolean(product) && matchesFacets(product) && passesHeadsetFilter(product);
         });
+        searchTerms = new Map((results || []).map(result => [result.id, result.terms]));
+        renderAccessories();
+        updateFacetPanel(results ? resultsById : null);
+        updateSearchEmptyState(query, results, matchingCards.length);
+        refreshRovingFocus();
+        const filters = getFilters();
+        if (announcedFilters !== null && JSON.stringify(filters) !== announcedFilters) emit('filters-changed', filters);
+        announcedFilters = JSON.stringify(filters);
     }
     if (searchInput) {
         searchInput.addEventListener('input', filterCards);
     }
-    if (categoryFilter) {
-        categoryFilter.addEventListener('change', () => {
-            filterCards();
-            // Record a category change and check achievements
-            try {
-                if (typeof incrementStat === 'function' && typeof checkAchievements === 'function') {
-                    incrementStat('categoryChanges');
-                    checkAchievements();
-                }
-            } catch (e) {}
-        });
-    }
 
     // Theme toggling
     const themeToggleBtn = document.getElementById('theme-toggle');
@@ -138,14 +843,14 @@ document.addEventListener('DOMContentLoaded', function () {
             themeToggleBtn.textContent = theme === 'light' ? '🌞' : '🌓';
         }
     }
-    // Load saved theme from localStorage
-    const savedTheme = localStorage.getItem('theme') || 'dark';
+    // Load saved theme
+    const savedTheme = store.get('theme', 'dark');
     applyTheme(savedTheme);
     if (themeToggleBtn) {
         themeToggleBtn.addEventListener('click', () => {
             const currentTheme = document.body.classList.contains('light-theme') ? 'light' : 'dark';
             const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-            localStorage.setItem('theme', newTheme);
+            store.set('theme', newTheme);
             applyTheme(newTheme);
         });
     }
@@ -176,22 +881,16 @@ document.addEventListener('DOMContentLoaded', function () {
         return '#' + hr + hg + hb;
     }
     function getPoints() {
-        const pts = parseInt(localStorage.getItem('userPoints'), 10);
+        const pts = parseInt(store.get('userPoints', 0), 10);
         return isNaN(pts) ? 0 : pts;
     }
     function savePoints(value) {
-        localStorage.setItem('userPoints', value);
+        store.set('userPoints', value);
     }
     function updateScoreboard() {
         const pts = getPoints();
-        if (scoreValueEl) scoreValueEl.textContent = pts;
-        if (achievementDisplay) {
-            let badge = '';
-            if (pts >= 100) badge = '🏆 VR Master';
-            else if (pts >= 50) badge = '🎮 VR Pro';
-            else if (pts >= 20) badge = '✨ Enthusiast';
-            achievementDisplay.textContent = badge;
-        }
+        if (scoreValueEl) scoreValueEl.textContent = t.number(pts);
+        if (achievementDisplay) achievementDisplay.textContent = VRGamification.levelFor(rules, pts);
     }
     function addPoints(amount) {
         const newPts = getPoints() + amount;
@@ -203,11 +902,11 @@ document.addEventListener('DOMContentLoaded', function () {
         document.documentElement.style.setProperty('--accent-color', color);
         document.documentElement.style.setProperty('--accent-color-hover', hoverColor);
         if (colorPickerEl) colorPickerEl.value = color;
-        localStorage.setItem('accentColor', color);
+        store.set('accentColor', color);
     }
     // Initialize accent color from storage or default
     (function initAccentColor() {
-        const saved = localStorage.getItem('accentColor');
+        const saved = store.get('accentColor', null);
         if (saved) {
             setAccentColor(saved);
         } else {
@@ -218,13 +917,7 @@ document.addEventListener('DOMContentLoaded', function () {
         if (colorPickerEl) {
             colorPickerEl.addEventListener('input', (e) => {
                 setAccentColor(e.target.value);
-                // Record a color change and check achievements
-                try {
-                    if (typeof incrementStat === 'function' && typeof checkAchievements === 'function') {
-                        incrementStat('colorsChanged');
-                        checkAchievements();
-                    }
-                } catch (err) {}
+                track('color_changed', { color: e.target.value });
             });
         }
     })();
@@ -235,49 +928,50 @@ document.addEventListener('DOMContentLoaded', function () {
     // Achievements and Stats
     // ============================
 
-    // Define achievement requirements and metadata
-    const achievementDefs = [
-        { key: 'shopper', metric: 'shopClicks', threshold: 10, title: 'Shopper', icon: '🛍️', desc: 'Clicked 10 Shop Now buttons' },
-        { key: 'collector', metric: 'favoritesAdded', threshold: 5, title: 'Collector', icon: '⭐', desc: 'Added 5 favorites' },
-        { key: 'explorer', metric: 'quickViews', threshold: 10, title: 'Explorer', icon: '🔍', desc: 'Opened 10 Quick Views' },
-        { key: 'quizMaster', metric: 'quizCompleted', threshold: 1, title: 'Quiz Master', icon: '🎓', desc: 'Completed the quiz' },
-        { key: 'voiceSearcher', metric: 'voiceSearches', threshold: 1, title: 'Voice Searcher', icon: '🎤', desc: 'Used voice search' },
-        { key: 'stylist', metric: 'colorsChanged', threshold: 1, title: 'Custom Stylist', icon: '🎨', desc: 'Changed the accent color' },
-        { key: 'categoryExplorer', metric: 'categoryChanges', threshold: 5, title: 'Category Explorer', icon: '🗂️', desc: 'Explored 5 categories' },
-        { key: 'sortMaster', metric: 'sortChanges', threshold: 1, title: 'Sort Master', icon: '↕️', desc: 'Used sorting options' },
-        { key: 'randomExplorer', metric: 'surprises', threshold: 1, title: 'Random Explorer', icon: '🎲', desc: 'Used the Surprise Me button' },
-        { key: 'memoryMaster', metric: 'memoryGamesCompleted', threshold: 1, title: 'Memory Master', icon: '🧠', desc: 'Completed the Memory Match Game' }
-    ];
+    // Achievements, point values and levels all come from the rules table in
+    // data/gamification.json and are evaluated by js/gamification.js.
 
-    // Retrieve persistent statistics from localStorage
+    // Read stats ({ counts, distinct }) saved under `key`
+    function readStats(source, key) {
+        const data = source.get(key, null);
+        return data && data.counts ? data : VRGamification.createStore();
+    }
+    // Today's local date as YYYY-MM-DD, for the daily window
+    function todayKey() {
+        return VRInsights.dayKey(Date.now());
+    }
+    // Retrieve persistent statistics for every window: lifetime, this session and today
     function getStats() {
-        try {
-            return JSON.parse(localStorage.getItem('userStats')) || {};
-        } catch (e) {
-            return {};
-        }
+        const day = readStats(store, 'dailyStats');
+        return {
+            all: readStats(store, 'userStats'),
+            session: readStats(sessionStore, 'sessionStats'),
+            day: day.date === todayKey() ? day : VRGamification.createStore()
+        };
     }
     // Save stats to storage
     function saveStats(stats) {
-        localStorage.setItem('userStats', JSON.stringify(stats));
+        store.set('userStats', stats.all);
+        sessionStore.set('sessionStats', stats.session);
+        store.set('dailyStats', Object.assign({}, stats.day, { date: todayKey() }));
     }
-    // Increment a specific stat counter
-    function incrementStat(metric) {
+    // Count an interaction event in every window; returns whether it was counted
+    function recordStat(name, payload) {
         const stats = getStats();
-        stats[metric] = (stats[metric] || 0) + 1;
-        saveStats(stats);
+        let counted = false;
+        Object.keys(stats).forEach(windowKey => {
+            if (VRGamification.recordEvent(rules, stats[windowKey], name, payload)) counted = true;
+        });
+        if (counted) saveStats(stats);
+        return counted;
     }
-    // Retrieve unlocked achievements mapping
+    // Retrieve unlocked achievements mapping (achievement key -> tier id, or true)
     function getUnlockedAchievements() {
-        try {
-            return JSON.parse(localStorage.getItem('achievementsUnlocked')) || {};
-        } catch (e) {
-            return {};
-        }
+        return store.get('achievementsUnlocked', {});
     }
     // Save unlocked achievements
     function saveUnlockedAchievements(data) {
-        localStorage.setItem('achievementsUnlocked', JSON.stringify(data));
+        store.set('achievementsUnlocked', data);
     }
     // Update the achievement board display
     function updateAchievementBoard() {
@@ -285,19 +979,39 @@ document.addEventListener('DOMContentLoaded', function () {
         const section = document.getElementById('achievements-section');
         if (!board || !section) return;
         const unlocked = getUnlockedAchievements();
-        // If there are any achievements defined, always show the section
-        section.style.display = 'block';
+        section.style.display = rules.achievements.length > 0 ? 'block' : 'none';
         board.innerHTML = '';
-        achievementDefs.forEach(def => {
+        rules.achievements.forEach(def => {
+            const tierIndex = VRGamification.unlockedTier(def, unlocked[def.key]);
+            const tier = def.tiers && tierIndex >= 0 ? def.tiers[tierIndex].id : null;
             const item = document.createElement('div');
             item.className = 'achievement';
             // Add locked class if not yet unlocked
-            if (!unlocked[def.key]) {
+            if (tierIndex < 0) {
                 item.classList.add('locked');
             }
-            item.innerHTML = `<span>${def.icon}</span><span>${def.title}</span>`;
-            // Optionally add title attribute for description
-            item.title = def.desc;
+            if (tier) item.classList.add('tier-' + tier);
+            const icon = document.createElement('span');
+            icon.textContent = def.icon;
+            const title = document.createElement('span');
+            title.textContent = def.title;
+            item.appendChild(icon);
+            item.appendChild(title);
+            if (tier) {
+                const badge = document.createElement('span');
+                badge.className = 'achievement-tier';
+                badge.textContent = t('achievement.tier.' + tier);
+                item.appendChild(badge);
+            }
+            // Describe the tier reached and, for tiered achievements, the next goal
+            let desc = VRGamification.describe(def, Math.max(tierIndex, 0));
+            if (def.tiers && tierIndex >= 0 && tierIndex < def.tiers.length - 1) {
+                desc += ' · ' + t('achievement.next', {
+                    tier: t('achievement.tier.' + def.tiers[tierIndex + 1].id),
+                    goal: VRGamification.describe(def, tierIndex + 1)
+                });
+            }
+            item.title = desc;
             board.appendChild(item);
         });
     }
@@ -321,190 +1035,255 @@ document.addEventListener('DOMContentLoaded', function () {
             }, 3500);
         }
     }
-    // Check whether any achievements have been unlocked
+    // Unlock every achievement tier the current stats have reached
     function checkAchievements() {
-        const stats = getStats();
         const unlocked = getUnlockedAchievements();
-        let unlockedNew = false;
-        achievementDefs.forEach(def => {
-            if (!unlocked[def.key]) {
-                const value = stats[def.metric] || 0;
-                if (value >= def.threshold) {
-                    unlocked[def.key] = true;
-                    unlockedNew = true;
-                }
-            }
+        const reached = VRGamification.newUnlocks(rules, getStats(), unlocked);
+        if (reached.length === 0) return;
+        reached.forEach(unlock => {
+            unlocked[unlock.key] = unlock.value;
         });
-        if (unlockedNew) {
-            saveUnlockedAchievements(unlocked);
-            updateAchievementBoard();
-            // Celebrate unlocking one or more achievements
-            triggerConfetti();
-            // Optionally award bonus points per achievement unlocked
-            try {
-                if (typeof addPoints === 'function') {
-                    addPoints(5);
-                }
-            } catch (e) {}
-        }
+        saveUnlockedAchievements(unlocked);
+        updateAchievementBoard();
+        // Celebrate unlocking one or more achievements
+        triggerConfetti();
+        reached.forEach(unlock => track('achievement_unlocked', { achievement: unlock.key, tier: unlock.tier }));
     }
     // Initialize the achievements board on page load
     updateAchievementBoard();
 
-    // Sorting functionality for accessories
+    // Count events towards stats and achievements, then award their points
+    events.on('*', (payload, name) => {
+        if (recordStat(name, payload)) checkAchievements();
+    });
+    events.on('*', (payload, name) => {
+        const points = VRGamification.pointsFor(rules, name);
+        if (points) addPoints(points);
+    });
+
+    // Sorting functionality for accessories: a sorted copy of the given cards
+    const nameCollator = new Intl.Collator(locale);
+    function sortCards(cards) {
+        const mode = sortFilter ? sortFilter.value : 'default';
+        // Retrieve trending counts for popularity sort
+        const counts = typeof getTrendingCounts === 'function' ? getTrendingCounts() : {};
+        return cards.slice().sort((a, b) => {
+            if (mode === 'alphabetical') {
+                return nameCollator.compare(a.dataset.name, b.dataset.name);
+            } else if (mode === 'popularity') {
+                return (counts[b.dataset.id] || 0) - (counts[a.dataset.id] || 0);
+            } else if (mode === 'category') {
+                return nameCollator.compare(a.dataset.category, b.dataset.category);
+            } else {
+                return parseInt(a.dataset.index, 10) - parseInt(b.dataset.index, 10);
+            }
+        });
+    }
     (function initSorting() {
         if (!sortFilter) return;
         // Assign original index to each accessory card
-        const accessoryList = Array.from(document.querySelectorAll('#accessories-grid .card'));
-        accessoryList.forEach((card, idx) => {
+        accessoryCards.forEach((card, idx) => {
             card.dataset.index = idx;
         });
-        function sortCards() {
-            const grid = document.getElementById('accessories-grid');
-            if (!grid) return;
-            let cards = Array.from(grid.children);
-            const mode = sortFilter.value;
-            // Retrieve trending counts for popularity sort
-            const counts = typeof getTrendingCounts === 'function' ? getTrendingCounts() : {};
-            cards.sort((a, b) => {
-                if (mode === 'alphabetical') {
-                    return a.dataset.name.localeCompare(b.dataset.name);
-                } else if (mode === 'popularity') {
-                    return (counts[b.dataset.name] || 0) - (counts[a.dataset.name] || 0);
-                } else if (mode === 'category') {
-                    return a.dataset.category.localeCompare(b.dataset.category);
-                } else {
-                    return parseInt(a.dataset.index, 10) - parseInt(b.dataset.index, 10);
-                }
-            });
-            cards.forEach(card => grid.appendChild(card));
-        }
         sortFilter.addEventListener('change', () => {
-            sortCards();
-            // Reapply filtering after sorting
-            if (typeof filterCards === 'function') filterCards();
-            // Record a sort change and check achievements
-            try {
-                if (typeof incrementStat === 'function' && typeof checkAchievements === 'function') {
-                    incrementStat('sortChanges');
-                    checkAchievements();
-                }
-            } catch (e) {}
+            filterCards();
+            track('sort_changed', { sort: sortFilter.value });
         });
     })();
 
     // Trending items tracking
     const trendingSection = document.getElementById('trending-section');
     const trendingListContainer = document.getElementById('trending-list');
-    // Elements for category popularity chart
-    const categoryChartHeading = document.getElementById('category-chart-heading');
-    const categoryChartContainer = document.querySelector('.chart-container');
-    const categoryCtx = document.getElementById('category-chart') ? document.getElementById('category-chart').getContext('2d') : null;
-    let categoryChart = null;
+    // Shop Now clicks per product id, all time
     function getTrendingCounts() {
-        try {
-            return JSON.parse(localStorage.getItem('trendingCounts')) || {};
-        } catch (e) {
-            return {};
-        }
+        return store.get('trendingCounts', {});
     }
     function saveTrendingCounts(counts) {
-        localStorage.setItem('trendingCounts', JSON.stringify(counts));
+        store.set('trendingCounts', counts);
+    }
+    // Recent Shop Now clicks with their time, for the week and month tabs (js/trending.js)
+    function getTrendingClicks() {
+        return VRTrending.prune(store.get('trendingClicks', []), Date.now());
+    }
+    const trendingTabs = Array.from(document.querySelectorAll('.trending-tab'));
+    const trendingCategorySelect = document.getElementById('trending-category');
+    const trendingEmpty = document.getElementById('trending-empty');
+    const trendingClickKeys = { week: 'trending.clicksWeek', month: 'trending.clicksMonth', all: 'trending.clicks' };
+    // Tab shown, chosen on page load as the shortest period with any clicks
+    let trendingWindow = null;
+    function rankTrending(windowName) {
+        const category = trendingCategorySelect ? trendingCategorySelect.value : '';
+        return VRTrending.rank({ clicks: getTrendingClicks(), totals: getTrendingCounts() }, {
+            window: windowName,
+            include: id => Boolean(productsById[id]) && (!category || productsById[id].category === category),
+            limit: 3
+        });
+    }
+    // A catalog card with its Quick View and Shop Now, plus the clicks behind its place
+    function buildTrendingCard(entry) {
+        const card = cardsById.get(entry.id);
+        if (!card) return null;
+        const clone = card.cloneNode(true);
+        ['.favorite-icon', '.compare-icon', '.mine-btn'].forEach(selector => {
+            const el = clone.querySelector(selector);
+            if (el) el.remove();
+        });
+        highlightCard(clone, null);
+        clone.classList.add('trending-item');
+        clone.removeAttribute('tabindex');
+        const info = document.createElement('p');
+        info.className = 'trending-clicks';
+        info.textContent = t(trendingClickKeys[trendingWindow], { count: entry.clicks });
+        const heading = clone.querySelector('h3');
+        if (heading) heading.after(info);
+        return clone;
     }
     function updateTrendingList() {
         const counts = getTrendingCounts();
-        const entries = Object.entries(counts);
-        // Sort by descending click count
-        entries.sort((a, b) => b[1] - a[1]);
         // Clear existing trending cards
         trendingListContainer.innerHTML = '';
-        if (entries.length > 0) {
+        if (Object.keys(counts).length > 0) {
             trendingSection.style.display = 'block';
         } else {
             trendingSection.style.display = 'none';
             return;
         }
-        // Display top 3 trending items
-        entries.slice(0, 3).forEach(([name, count]) => {
-            const itemCard = document.createElement('div');
-            itemCard.className = 'card';
-            const heading = document.createElement('h3');
-            heading.textContent = name;
-            const info = document.createElement('p');
-            info.textContent = `Popular: ${count} clicks`;
-            itemCard.appendChild(heading);
-            itemCard.appendChild(info);
-            trendingListContainer.appendChild(itemCard);
+        if (!trendingWindow) {
+            trendingWindow = ['week', 'month'].find(name => rankTrending(name).length > 0) || 'all';
+        }
+        trendingTabs.forEach(tab => {
+            const selected = tab.dataset.window === trendingWindow;
+            tab.setAttribute('aria-selected', String(selected));
+            tab.tabIndex = selected ? 0 : -1;
+            if (selected) trendingListContainer.setAttribute('aria-labelledby', tab.id);
         });
-
-        // After updating trending items, update the category popularity chart
-        updateCategoryChart();
-    }
-    // Attach click handlers to each Shop Now button to track clicks
-    const shopButtons = document.querySelectorAll('.card .btn');
-    shopButtons.forEach((btn) => {
-        btn.addEventListener('click', function () {
-            const card = this.closest('.card');
-            const name = card ? card.dataset.name : null;
-            if (name) {
-                const counts = getTrendingCounts();
-                counts[name] = (counts[name] || 0) + 1;
-                saveTrendingCounts(counts);
+        const ranked = rankTrending(trendingWindow);
+        ranked.forEach(entry => {
+            const card = buildTrendingCard(entry);
+            if (card) trendingListContainer.appendChild(card);
+        });
+        if (trendingEmpty) {
+            trendingEmpty.hidden = ranked.length > 0;
+            trendingEmpty.textContent = t(trendingWindow === 'all' ? 'trending.emptyAll' : 'trending.empty');
+        }
+        refreshRovingFocus();
+    }
+    // Period tabs (arrow keys move between them) and the category picker
+    (function initTrendingControls() {
+        trendingTabs.forEach((tab, index) => {
+            tab.addEventListener('click', () => {
+                trendingWindow = tab.dataset.window;
                 updateTrendingList();
-            }
-            // Award points for clicking a Shop Now button
-            try {
-                if (typeof addPoints === 'function') {
-                    addPoints(1);
-                }
-            } catch (e) {}
-            // Record a shop click in stats and check achievements
-            try {
-                if (typeof incrementStat === 'function' && typeof checkAchievements === 'function') {
-                    incrementStat('shopClicks');
-                    checkAchievements();
-                }
-            } catch (e) {}
+            });
+            tab.addEventListener('keydown', (e) => {
+                if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+                e.preventDefault();
+                const next = trendingTabs[(index + (e.key === 'ArrowRight' ? 1 : -1) + trendingTabs.length) % trendingTabs.length];
+                next.focus();
+                next.click();
+            });
+        });
+        if (!trendingCategorySelect) return;
+        Array.from(new Set(catalog.map(product => product.category))).forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = categoryLabel(category);
+            trendingCategorySelect.appendChild(option);
         });
+        trendingCategorySelect.addEventListener('change', updateTrendingList);
+    })();
+    // Count Shop Now clicks per product, with their time, for the trending list
+    events.on('shop_click', (payload) => {
+        if (!payload.productId) return;
+        const counts = getTrendingCounts();
+        counts[payload.productId] = (counts[payload.productId] || 0) + 1;
+        saveTrendingCounts(counts);
+        store.set('trendingClicks', VRTrending.recordClick(getTrendingClicks(), payload.productId, Date.now()));
+        updateTrendingList();
     });
-    // Initialize trending list on page load
-    updateTrendingList();
 
     /**
      * FAVORITES, QUICK VIEW & SURPRISE
      *
      * The following section adds functionality for users to mark products as favorites,
      * view a detailed quick‑view modal of any item, discover a random accessory,
-     * and scroll back to the top of the page. Favorites persist in localStorage and
-     * are displayed in a dedicated section. A star icon and Quick View button are
-     * dynamically added to each card to support these interactions.
+     * and scroll back to the top of the page. Favorites are kept on named lists
+     * (Favorites, "Gift for brother", ...) with a note and quantity per item, and the
+     * chosen list is displayed in a dedicated section in the visitor's order. A star
+     * icon and Quick View button are dynamically added to each card to support these
+     * interactions.
      */
-    // Favorites helpers
-    function getFavorites() {
-        try {
-            return JSON.parse(localStorage.getItem('favorites')) || [];
-        } catch (e) {
-            return [];
-        }
+    // Wishlists helpers (js/wishlists.js). Every product on any list counts as a favorite.
+    function getWishlists() {
+        return VRWishlists.normalizeLists(store.get('wishlists', null));
+    }
+    // Save the lists, announcing each product whose set of lists changed
+    function saveWishlists(lists) {
+        const before = getWishlists();
+        store.set('wishlists', lists);
+        const after = getWishlists();
+        const ids = VRWishlists.productIds(before.concat(after));
+        ids.forEach(id => {
+            const onLists = VRWishlists.listsWith(after, id);
+            if (onLists.join() === VRWishlists.listsWith(before, id).join()) return;
+            emit('favorite-changed', { productId: id, favorite: onLists.length > 0, lists: onLists });
+        });
+    }
+    // The list shown in the favorites section
+    function getActiveWishlist(lists) {
+        const activeId = store.get('activeWishlist', null);
+        return lists.find(list => list.id === activeId) || lists[0];
     }
-    function saveFavorites(list) {
-        localStorage.setItem('favorites', JSON.stringify(list));
+    function getFavorites() {
+        return VRWishlists.productIds(getWishlists());
     }
     // Elements for favorites
     const favoritesSection = document.getElementById('favorites-section');
     const favoritesList = document.getElementById('favorites-list');
-    // Update the favorites list display
+    const wishlistSelect = document.getElementById('wishlist-select');
+    const wishlistEmpty = document.getElementById('wishlist-empty');
+    const wishlistStatus = document.getElementById('wishlist-status');
+    function setWishlistStatus(message) {
+        if (wishlistStatus) wishlistStatus.textContent = message;
+    }
+    function renderWishlistSelect(lists, active) {
+        if (!wishlistSelect) return;
+        wishlistSelect.innerHTML = '';
+        lists.forEach(list => {
+            const option = document.createElement('option');
+            option.value = list.id;
+            option.textContent = `${list.name} (${t.number(list.items.length)})`;
+            wishlistSelect.appendChild(option);
+        });
+        wishlistSelect.value = active.id;
+    }
+    // Copy a share link from its read-only field, reporting through `setStatus`
+    function copyShareLink(input, setStatus) {
+        if (!navigator.clipboard) {
+            input.select();
+            setStatus(t('share.pressCopy'));
+            return;
+        }
+        navigator.clipboard.writeText(input.value).then(
+            () => setStatus(t('share.copied')),
+            () => setStatus(t('share.copyFailed'))
+        );
+    }
+    // Update the favorites list display with the active list, in the visitor's order
     function updateFavoritesList() {
-        const favorites = getFavorites();
+        const lists = getWishlists();
+        const active = getActiveWishlist(lists);
         favoritesList.innerHTML = '';
-        if (favorites.length === 0) {
+        // Nothing to show until something is saved or the visitor has made more lists
+        if (lists.length === 1 && active.items.length === 0) {
             favoritesSection.style.display = 'none';
             return;
         }
         favoritesSection.style.display = 'block';
-        favorites.forEach((name) => {
-            // Find the first matching card in the document
-            const card = Array.from(document.querySelectorAll('.card-grid > .card')).find(c => c.dataset.name === name);
+        renderWishlistSelect(lists, active);
+        if (wishlistEmpty) wishlistEmpty.hidden = active.items.length > 0;
+        active.items.forEach((item, index) => {
+            const card = cardsById.get(item.id);
             if (card) {
                 const clone = card.cloneNode(true);
                 // Remove interactive elements from favorites clone
@@ -512,139 +1291,276 @@ document.addEventListener('DOMContentLoaded', function () {
                 if (favIcon) favIcon.remove();
                 const detailsBtn = clone.querySelector('.details-btn');
                 if (detailsBtn) detailsBtn.remove();
+                const compIcon = clone.querySelector('.compare-icon');
+                if (compIcon) compIcon.remove();
+                const mineBtn = clone.querySelector('.mine-btn');
+                if (mineBtn) mineBtn.remove();
+                clone.classList.add('wishlist-item');
+                clone.appendChild(buildWishlistItemControls(active, item, index));
+                const watchControls = buildPriceWatchControls(item.id);
+                if (watchControls) clone.appendChild(watchControls);
+                enableWishlistDrag(clone, active.id, index);
                 favoritesList.appendChild(clone);
             }
         });
+        refreshRovingFocus();
     }
-
-    // Function to update the category popularity bar chart
-    function updateCategoryChart() {
-        if (!categoryCtx || typeof Chart === 'undefined') return;
-        const counts = getTrendingCounts();
-        // Aggregate click counts by category
-        const categoryCounts = {};
-        for (const [name, count] of Object.entries(counts)) {
-            const card = document.querySelector(`.card[data-name="${CSS.escape(name)}"]`);
-            if (card) {
-                const cat = card.dataset.category || 'Other';
-                categoryCounts[cat] = (categoryCounts[cat] || 0) + count;
-            }
-        }
-        const labels = Object.keys(categoryCounts);
-        const data = Object.values(categoryCounts);
-        // Show or hide the chart and heading based on data
-        if (labels.length === 0) {
-            if (categoryChartHeading) categoryChartHeading.style.display = 'none';
-            if (categoryChartContainer) categoryChartContainer.style.display = 'none';
-            return;
-        } else {
-            if (categoryChartHeading) categoryChartHeading.style.display = 'block';
-            if (categoryChartContainer) categoryChartContainer.style.display = 'block';
-        }
-        if (categoryChart) {
-            categoryChart.data.labels = labels;
-            categoryChart.data.datasets[0].data = data;
-            categoryChart.update();
-        } else {
-            categoryChart = new Chart(categoryCtx, {
-                type: 'bar',
-                data: {
-                    labels: labels,
-                    datasets: [
-                        {
-                            label: 'Clicks by Category',
-                            data: data,
-                            borderWidth: 1
-                        }
-                    ]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    scales: {
-                        y: {
-                            beginAtZero: true
-                        }
-                    }
-                }
+    // Quantity, note, reorder and remove controls for an item on the active list
+    function buildWishlistItemControls(list, item, index) {
+        const product = productsById[item.id];
+        const name = product ? product.name : item.id;
+        const box = document.createElement('div');
+        box.className = 'wishlist-item-controls';
+        const qtyLabel = document.createElement('label');
+        qtyLabel.textContent = t('wishlist.qty') + ' ';
+        const qty = document.createElement('input');
+        qty.type = 'number';
+        qty.min = '1';
+        qty.max = '99';
+        qty.className = 'wishlist-qty';
+        qty.value = item.qty;
+        qty.addEventListener('change', () => {
+            saveWishlists(VRWishlists.updateItem(getWishlists(), list.id, item.id, { qty: qty.value }));
+            updateFavoritesList();
+        });
+        qtyLabel.appendChild(qty);
+        box.appendChild(qtyLabel);
+        const noteLabel = document.createElement('label');
+        noteLabel.textContent = t('wishlist.note') + ' ';
+        const note = document.createElement('input');
+        note.type = 'text';
+        note.maxLength = 200;
+        note.className = 'wishlist-note';
+        note.placeholder = t('wishlist.notePlaceholder');
+        note.value = item.note;
+        note.addEventListener('change', () => {
+            saveWishlists(VRWishlists.updateItem(getWishlists(), list.id, item.id, { note: note.value }));
+        });
+        noteLabel.appendChild(note);
+        box.appendChild(noteLabel);
+        // Buttons are the keyboard alternative to dragging
+        [['up', '↑', -1], ['down', '↓', 1]].forEach(([direction, symbol, step]) => {
+            const move = document.createElement('button');
+            move.type = 'button';
+            move.className = 'wishlist-move wishlist-move-' + direction;
+            move.textContent = symbol;
+            move.setAttribute('aria-label', t('wishlist.move.' + direction, { name: name }));
+            move.disabled = index + step < 0 || index + step >= list.items.length;
+            move.addEventListener('click', () => {
+                moveWishlistItem(list.id, index, index + step);
+                // Keep focus on the moved item so it can be moved again
+                const moved = favoritesList.querySelector(`.card[data-id="${item.id}"]`);
+                const again = moved && (moved.querySelector('.wishlist-move-' + direction + ':not(:disabled)') || moved.querySelector('.wishlist-move:not(:disabled)'));
+                if (again) again.focus();
             });
-        }
+            box.appendChild(move);
+        });
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'wishlist-remove';
+        remove.textContent = t('wishlist.remove');
+        remove.setAttribute('aria-label', t('wishlist.removeLabel', { name: name, list: list.name }));
+        remove.addEventListener('click', () => {
+            toggleWishlistItem(list.id, item.id);
+            setWishlistStatus(t('wishlist.removed', { name: name, list: list.name }));
+        });
+        box.appendChild(remove);
+        return box;
     }
-    // Toggle a product as a favorite
-    function toggleFavorite(name) {
-        let favs = getFavorites();
-        const index = favs.indexOf(name);
-        if (index >= 0) {
-            favs.splice(index, 1);
-        } else {
-            favs.push(name);
-            // Award points for adding a new favorite
-            try {
-                if (typeof addPoints === 'function') {
-                    addPoints(5);
-                }
-            } catch (e) {}
-            // Record a favorite addition and check achievements
-            try {
-                if (typeof incrementStat === 'function' && typeof checkAchievements === 'function') {
-                    incrementStat('favoritesAdded');
-                    checkAchievements();
-                }
-            } catch (e) {}
+    function moveWishlistItem(listId, from, to) {
+        const lists = VRWishlists.moveItem(getWishlists(), listId, from, to);
+        saveWishlists(lists);
+        updateFavoritesList();
+        const list = lists.find(entry => entry.id === listId);
+        const item = list && list.items[Math.min(Math.max(to, 0), list.items.length - 1)];
+        const product = item && productsById[item.id];
+        if (product) setWishlistStatus(t('wishlist.moved', { name: product.name, position: list.items.indexOf(item) + 1, count: list.items.length }));
+    }
+    // Drag a favorite onto another to take its place
+    function enableWishlistDrag(clone, listId, index) {
+        clone.draggable = true;
+        clone.addEventListener('dragstart', (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(index));
+            clone.classList.add('dragging');
+        });
+        clone.addEventListener('dragend', () => clone.classList.remove('dragging'));
+        clone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            clone.classList.add('drag-over');
+        });
+        clone.addEventListener('dragleave', () => clone.classList.remove('drag-over'));
+        clone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            clone.classList.remove('drag-over');
+            const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+            if (!isNaN(from) && from !== index) moveWishlistItem(listId, from, index);
+        });
+    }
+
+    // Add a product to a list or take it off, keeping stars, price watches and the section in step
+    function toggleWishlistItem(listId, id) {
+        const wasFavorite = getFavorites().includes(id);
+        const result = VRWishlists.toggleItem(getWishlists(), listId, id);
+        saveWishlists(result.lists);
+        const isFavorite = VRWishlists.listsWith(result.lists, id).length > 0;
+        if (isFavorite && !wasFavorite) {
+            watchPrice(id);
+            const product = productsById[id];
+            track('favorite_added', { productId: id, category: product ? product.category : null });
+        } else if (!isFavorite) {
+            unwatchPrice(id);
         }
-        saveFavorites(favs);
         updateCardFavoriteIcons();
         updateFavoritesList();
     }
-    // Update star icons on all cards based on favorites list
-    function updateCardFavoriteIcons() {
-        const favs = getFavorites();
-        document.querySelectorAll('.favorite-icon').forEach(icon => {
+    // Star on a card: with one list it toggles, with several it asks which
+    function toggleFavorite(id, star) {
+        const lists = getWishlists();
+        if (lists.length === 1) {
+            toggleWishlistItem(lists[0].id, id);
+        } else {
+            openWishlistPicker(id, star);
+        }
+    }
+    // Menu under a star for choosing the lists a product is on
+    let wishlistPicker = null;
+    function closeWishlistPicker(returnFocus) {
+        if (!wishlistPicker) return;
+        const star = wishlistPicker.star;
+        wishlistPicker.menu.remove();
+        wishlistPicker = null;
+        if (returnFocus) star.focus();
+    }
+    function openWishlistPicker(id, star) {
+        closeWishlistPicker(false);
+        const product = productsById[id];
+        const menu = document.createElement('div');
+        menu.className = 'wishlist-picker';
+        menu.setAttribute('role', 'menu');
+        menu.setAttribute('aria-label', t('favorite.listsFor', { name: product ? product.name : id }));
+        const onLists = VRWishlists.listsWith(getWishlists(), id);
+        getWishlists().forEach(list => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.setAttribute('role', 'menuitemcheckbox');
+            option.setAttribute('aria-checked', String(onLists.includes(list.id)));
+            option.textContent = list.name;
+            option.addEventListener('click', (e) => {
+                e.stopPropagation();
+                toggleWishlistItem(list.id, id);
+                option.setAttribute('aria-checked', String(VRWishlists.listsWith(getWishlists(), id).includes(list.id)));
+            });
+            menu.appendChild(option);
+        });
+        menu.addEventListener('click', (e) => e.stopPropagation());
+        menu.addEventListener('keydown', (e) => {
+            const options = Array.from(menu.querySelectorAll('[role="menuitemcheckbox"]'));
+            const index = options.indexOf(document.activeElement);
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                closeWishlistPicker(true);
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                options[(index + step + options.length) % options.length].focus();
+            }
+        });
+        star.closest('.card').appendChild(menu);
+        wishlistPicker = { menu: menu, star: star };
+        menu.querySelector('button').focus();
+    }
+    document.addEventListener('click', (e) => {
+        if (wishlistPicker && e.target !== wishlistPicker.star) closeWishlistPicker(false);
+    });
+    // Update star icons based on the lists they are on, on the given cards or on
+    // every card on the page
+    function updateCardFavoriteIcons(cards) {
+        const lists = getWishlists();
+        const icons = cards ? cards.map(card => card.querySelector('.favorite-icon')).filter(Boolean) : document.querySelectorAll('.favorite-icon');
+        icons.forEach(icon => {
             const card = icon.closest('.card');
-            const name = card ? card.dataset.name : null;
-            if (name && favs.includes(name)) {
+            const id = card ? card.dataset.id : null;
+            const names = id ? lists.filter(list => list.items.some(item => item.id === id)).map(list => list.name) : [];
+            const name = productsById[id] ? productsById[id].name : id;
+            // With several lists the star opens the list picker instead of toggling
+            icon.setAttribute('aria-pressed', String(names.length > 0));
+            icon.setAttribute('aria-label', t(lists.length > 1 ? 'favorite.listsFor' : 'favorite.label', { name: name }));
+            if (lists.length > 1) {
+                icon.setAttribute('aria-haspopup', 'menu');
+            } else {
+                icon.removeAttribute('aria-haspopup');
+            }
+            if (names.length > 0) {
                 icon.classList.add('favorited');
                 icon.textContent = '★';
+                icon.title = t('favorite.onLists', { lists: names.join(', ') });
             } else {
                 icon.classList.remove('favorited');
                 icon.textContent = '☆';
+                icon.title = t(lists.length > 1 ? 'favorite.addToList' : 'favorite.add');
             }
         });
     }
+    // Every modal is opened and closed through one manager (js/modals.js), which
+    // stacks them, keeps focus inside the top one and handles Escape
+    const modals = VRModals.createModalManager(document);
     // Quick view modal elements
     const modal = document.getElementById('quick-view-modal');
     const modalContent = document.getElementById('quick-view-content');
-    const closeModalBtn = document.querySelector('.close-modal');
-    function openQuickView(card) {
+    // Id of the product currently shown in Quick View (mirrored in the URL hash)
+    let quickViewProductId = null;
+    // Open Quick View on a card, counting it as viewed. Options: `fromHistory` for a
+    // back/forward restore, which neither writes history nor counts again, and
+    // `fromLink` for the product in the link the page was opened with, which is
+    // counted but already in the URL.
+    function openQuickView(card, options) {
         if (!modal || !modalContent) return;
+        const fromHistory = options && options.fromHistory === true;
+        const fromLink = options && options.fromLink === true;
         const clone = card.cloneNode(true);
         // Remove interactive elements from clone
         const favIcon = clone.querySelector('.favorite-icon');
         if (favIcon) favIcon.remove();
         const detailsBtn = clone.querySelector('.details-btn');
         if (detailsBtn) detailsBtn.remove();
+        const mineBtn = clone.querySelector('.mine-btn');
+        if (mineBtn) mineBtn.remove();
+        const compIcon = clone.querySelector('.compare-icon');
+        if (compIcon) compIcon.remove();
+        clone.removeAttribute('tabindex');
         // Replace the content
         modalContent.innerHTML = '';
         modalContent.appendChild(clone);
-        modal.style.display = 'flex';
-        document.body.style.overflow = 'hidden';
-    }
-    function closeQuickView() {
-        if (!modal) return;
-        modal.style.display = 'none';
-        document.body.style.overflow = '';
-    }
-    if (closeModalBtn) {
-        closeModalBtn.addEventListener('click', closeQuickView);
-    }
-    // Close modal when clicking outside the modal content
-    if (modal) {
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                closeQuickView();
-            }
-        });
+        const history = buildPriceHistory(card.dataset.id);
+        if (history) modalContent.appendChild(history);
+        modal.querySelector('.modal-content').setAttribute('aria-label', t('quickView.of', { name: card.dataset.name }));
+        const productId = card.dataset.id;
+        if (fromLink) {
+            // The page is still being set up; count it once everything listening is
+            setTimeout(() => track('quick_view', { productId: productId }), 0);
+        } else if (!fromHistory) {
+            // Counted before opening: the "Recently viewed" strip redraws, and the
+            // modal returns the focus to whatever has it then
+            track('quick_view', { productId: productId });
+        }
+        modals.open(modal);
+        quickViewProductId = card.dataset.id || null;
+        if (!fromHistory && !fromLink) syncUrlState(true);
+        emit('quick-view-opened', { productId: quickViewProductId });
     }
+    function closeQuickView(options) {
+        modals.close(modal, options);
+    }
+    // Runs however Quick View is closed: its button, Escape, the backdrop or history
+    modals.register(modal, {
+        onClose: (options) => {
+            const productId = quickViewProductId;
+            quickViewProductId = null;
+            if (!(options && options.fromHistory === true)) syncUrlState(true);
+            emit('quick-view-closed', { productId: productId });
+        }
+    });
     // Scroll to top button
     const scrollTopBtn = document.getElementById('scroll-top');
     if (scrollTopBtn) {
@@ -663,115 +1579,401 @@ document.addEventListener('DOMContentLoaded', function () {
     const surpriseBtn = document.getElementById('surprise-btn');
     if (surpriseBtn) {
         surpriseBtn.addEventListener('click', () => {
-            // Filter visible cards based on current filters
-            const visibleCards = accessoryCards.filter(card => card.style.display !== 'none');
+            // Any card the current filters match, loaded or not, skipping ones that don't fit my headset
+            const visibleCards = matchingCards.filter(card => fitsMyHeadset(productsById[card.dataset.id]) !== false);
             if (visibleCards.length === 0) return;
             const randomIndex = Math.floor(Math.random() * visibleCards.length);
             const randomCard = visibleCards[randomIndex];
             openQuickView(randomCard);
-            // Award points for surprise pick
-            try {
-                if (typeof addPoints === 'function') {
-                    addPoints(2);
-                }
-            } catch (e) {}
-            // Record a surprise use and check achievements
-            try {
-                if (typeof incrementStat === 'function' && typeof checkAchievements === 'function') {
-                    incrementStat('surprises');
-                    checkAchievements();
-                }
-            } catch (e) {}
+            track('surprise', { productId: randomCard.dataset.id });
         });
     }
-    // Dynamically add favorite icons and quick view buttons to each card
-    const allCards = document.querySelectorAll('.card-grid > .card');
-    allCards.forEach((card) => {
+    // Dynamically add favorite icons and quick view buttons to each card; their
+    // clicks are handled by one listener per grid (see CARD CONTROLS)
+    cardsById.forEach((card) => {
         // Ensure card is positioned relative for absolute icon placement
         card.style.position = card.style.position || 'relative';
         // Create favorite icon if not already present
         if (!card.querySelector('.favorite-icon')) {
-            const favIcon = document.createElement('span');
+            const favIcon = document.createElement('button');
+            favIcon.type = 'button';
             favIcon.className = 'favorite-icon';
             favIcon.textContent = '☆';
             card.appendChild(favIcon);
-            favIcon.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const name = card.dataset.name;
-                if (name) {
-                    toggleFavorite(name);
-                }
-            });
         }
         // Create Quick View button if not present
         if (!card.querySelector('.details-btn')) {
             const detailsBtn = document.createElement('button');
+            detailsBtn.type = 'button';
             detailsBtn.className = 'details-btn';
-            detailsBtn.textContent = 'Quick View';
+            detailsBtn.textContent = t('quickView.title');
+            detailsBtn.setAttribute('aria-label', t('quickView.of', { name: card.dataset.name }));
             card.appendChild(detailsBtn);
-            detailsBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                openQuickView(card);
-                // Award points for viewing details
-                try {
-                    if (typeof addPoints === 'function') {
-                        addPoints(1);
-                    }
-                } catch (e) {}
-                    // Record quick view and check achievements
-                    try {
-                        if (typeof incrementStat === 'function' && typeof checkAchievements === 'function') {
-                            incrementStat('quickViews');
-                            checkAchievements();
-                        }
-                    } catch (e) {}
-            });
         }
     });
     // After injecting icons and buttons, update their states based on saved favorites
     updateCardFavoriteIcons();
     updateFavoritesList();
 
+    // List picker, create/rename/delete, share links and the read-only view of a shared list
+    (function initWishlists() {
+        const nameForm = document.getElementById('wishlist-name-form');
+        const nameInput = document.getElementById('wishlist-name-input');
+        const renameBtn = document.getElementById('wishlist-rename-btn');
+        const deleteBtn = document.getElementById('wishlist-delete-btn');
+        const shareBtn = document.getElementById('wishlist-share-btn');
+        const shareBox = document.getElementById('wishlist-share');
+        const shareLink = document.getElementById('wishlist-share-link');
+        const copyBtn = document.getElementById('wishlist-copy-btn');
+        function showList(listId) {
+            store.set('activeWishlist', listId);
+            if (shareBox) shareBox.hidden = true;
+            resetDelete();
+            updateCardFavoriteIcons();
+            updateFavoritesList();
+        }
+        if (wishlistSelect) {
+            wishlistSelect.addEventListener('change', () => {
+                showList(wishlistSelect.value);
+                setWishlistStatus('');
+            });
+        }
+        if (nameForm && nameInput) {
+            nameForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const result = VRWishlists.createList(getWishlists(), nameInput.value);
+                if (!result) {
+                    setWishlistStatus(t('wishlist.nameFirst'));
+                    return;
+                }
+                saveWishlists(result.lists);
+                nameInput.value = '';
+                showList(result.id);
+                setWishlistStatus(t('wishlist.created', { list: getActiveWishlist(result.lists).name }));
+            });
+        }
+        if (renameBtn && nameInput) {
+            renameBtn.addEventListener('click', () => {
+                const lists = VRWishlists.renameList(getWishlists(), getActiveWishlist(getWishlists()).id, nameInput.value);
+                if (!lists) {
+                    setWishlistStatus(t('wishlist.renameFirst'));
+                    return;
+                }
+                saveWishlists(lists);
+                nameInput.value = '';
+                updateCardFavoriteIcons();
+                updateFavoritesList();
+                setWishlistStatus(t('wishlist.renamed', { list: getActiveWishlist(lists).name }));
+            });
+        }
+        // Deleting asks for a second press
+        function resetDelete() {
+            if (!deleteBtn) return;
+            delete deleteBtn.dataset.confirm;
+            deleteBtn.textContent = t('wishlist.delete');
+        }
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => {
+                const active = getActiveWishlist(getWishlists());
+                if (!deleteBtn.dataset.confirm) {
+                    deleteBtn.dataset.confirm = 'true';
+                    deleteBtn.textContent = t('wishlist.confirmDelete', { list: active.name });
+                    return;
+                }
+                const lists = VRWishlists.deleteList(getWishlists(), active.id);
+                saveWishlists(lists);
+                // Products that were only on the deleted list stop being watched
+                active.items.forEach(item => {
+                    if (VRWishlists.listsWith(lists, item.id).length === 0) unwatchPrice(item.id);
+                });
+                showList(lists[0].id);
+                setWishlistStatus(t('wishlist.deleted', { list: active.name }));
+            });
+            deleteBtn.addEventListener('blur', resetDelete);
+        }
+        if (shareBtn && shareBox && shareLink) {
+            shareBtn.addEventListener('click', () => {
+                const active = getActiveWishlist(getWishlists());
+                if (active.items.length === 0) {
+                    setWishlistStatus(t('wishlist.shareEmpty'));
+                    return;
+                }
+                shareLink.value = location.origin + location.pathname + '#wishlist=' + VRWishlists.encodeShareCode(active);
+                shareBox.hidden = false;
+                shareLink.select();
+                setWishlistStatus(t('wishlist.shareReady'));
+            });
+        }
+        if (copyBtn && shareLink) {
+            copyBtn.addEventListener('click', () => copyShareLink(shareLink, setWishlistStatus));
+        }
+
+        // Opened from a share link: show the list without touching the visitor's own
+        const sharedSection = document.getElementById('shared-wishlist-section');
+        if (!sharedSection || !location.hash.startsWith('#wishlist=')) return;
+        const shared = VRWishlists.decodeShareCode(location.hash);
+        history.replaceState(history.state, '', location.pathname + location.search);
+        if (!shared) return;
+        shared.items = shared.items.filter(item => productsById[item.id]);
+        document.getElementById('shared-wishlist-title').textContent = t('shared.titleNamed', { list: shared.name });
+        const sharedList = document.getElementById('shared-wishlist-list');
+        shared.items.forEach(item => {
+            const card = cardsById.get(item.id);
+            if (!card) return;
+            const clone = card.cloneNode(true);
+            ['.favorite-icon', '.details-btn', '.compare-icon', '.mine-btn'].forEach(selector => {
+                const el = clone.querySelector(selector);
+                if (el) el.remove();
+            });
+            const meta = document.createElement('p');
+            meta.className = 'wishlist-shared-meta';
+            meta.textContent = `${t('wishlist.qty')} ${t.number(item.qty)}` + (item.note ? ` · ${item.note}` : '');
+            clone.appendChild(meta);
+            sharedList.appendChild(clone);
+        });
+        refreshRovingFocus();
+        sharedSection.hidden = false;
+        sharedSection.scrollIntoView();
+        document.getElementById('shared-wishlist-save').addEventListener('click', () => {
+            const result = VRWishlists.createList(getWishlists(), shared.name);
+            let lists = result.lists;
+            shared.items.forEach(item => {
+                lists = VRWishlists.toggleItem(lists, result.id, item.id).lists;
+                lists = VRWishlists.updateItem(lists, result.id, item.id, { note: item.note, qty: item.qty });
+                watchPrice(item.id);
+            });
+            saveWishlists(lists);
+            sharedSection.hidden = true;
+            showList(result.id);
+            setWishlistStatus(t('shared.saved', { list: shared.name }));
+            favoritesSection.scrollIntoView();
+        });
+        document.getElementById('shared-wishlist-close').addEventListener('click', () => {
+            sharedSection.hidden = true;
+        });
+    })();
+
+    /**
+     * PRICES & PRICE-DROP ALERTS
+     *
+     * Prices come from the local feed in data/prices.json (js/prices.js). Quick View
+     * shows a product's price history as a sparkline. Each favorite is watched: the
+     * visitor can set a target price, and when a newer feed shows a drop (to the
+     * target, if set) the favorite gets a badge and, with permission, a notification.
+     */
+    // Watched favorites: product id -> { target, lastPrice, feedDate, drop }
+    function getPriceWatches() {
+        return store.get('priceWatches', {});
+    }
+    function savePriceWatches(watches) {
+        store.set('priceWatches', watches);
+    }
+    // Start watching a product from its current price
+    function watchPrice(id) {
+        const price = VRPrices.priceFor(priceFeed, id);
+        const watches = getPriceWatches();
+        if (!price || watches[id]) return;
+        watches[id] = { lastPrice: price.current, feedDate: priceFeed.generatedAt };
+        savePriceWatches(watches);
+    }
+    function unwatchPrice(id) {
+        const watches = getPriceWatches();
+        if (!watches[id]) return;
+        delete watches[id];
+        savePriceWatches(watches);
+    }
+    function formatFeedPrice(amount) {
+        return VRPrices.formatPrice(amount, priceFeed && priceFeed.currency, locale);
+    }
+    // "Jul 2026" for a feed date
+    function formatPriceDate(date) {
+        return new Date(date + 'T00:00:00').toLocaleDateString(locale, { month: 'short', year: 'numeric' });
+    }
+    // Sparkline and low/high summary of a product's price history, for Quick View
+    function buildPriceHistory(id) {
+        const price = VRPrices.priceFor(priceFeed, id);
+        const range = price && VRPrices.priceRange(price.history);
+        if (!range || price.history.length < 2) return null;
+        const width = 160;
+        const height = 40;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'price-history';
+        const heading = document.createElement('h4');
+        heading.textContent = t('prices.history');
+        wrapper.appendChild(heading);
+        const svgNs = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNs, 'svg');
+        svg.setAttribute('class', 'sparkline');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('role', 'img');
+        const first = price.history[0];
+        const last = price.history[price.history.length - 1];
+        svg.setAttribute('aria-label', t('prices.historyLabel', {
+            from: formatPriceDate(first.date),
+            to: formatPriceDate(last.date),
+            low: formatFeedPrice(range.low.price),
+            high: formatFeedPrice(range.high.price),
+            now: formatFeedPrice(price.current)
+        }));
+        const line = document.createElementNS(svgNs, 'polyline');
+        line.setAttribute('points', VRPrices.sparklinePoints(price.history, width, height));
+        svg.appendChild(line);
+        wrapper.appendChild(svg);
+        const summary = document.createElement('p');
+        summary.className = 'price-range';
+        summary.textContent = t('prices.range', {
+            now: formatFeedPrice(price.current),
+            low: formatFeedPrice(range.low.price),
+            lowDate: formatPriceDate(range.low.date),
+            high: formatFeedPrice(range.high.price),
+            highDate: formatPriceDate(range.high.date)
+        });
+        wrapper.appendChild(summary);
+        return wrapper;
+    }
+    // Target price field and drop badge shown on a favorite
+    function buildPriceWatchControls(id) {
+        const price = VRPrices.priceFor(priceFeed, id);
+        const watch = getPriceWatches()[id];
+        if (!price || !watch) return null;
+        const box = document.createElement('div');
+        box.className = 'price-watch';
+        if (watch.drop) {
+            const badge = document.createElement('p');
+            badge.className = 'price-drop-badge';
+            badge.textContent = t('prices.drop', { from: formatFeedPrice(watch.drop.from), to: formatFeedPrice(watch.drop.to) });
+            const dismiss = document.createElement('button');
+            dismiss.type = 'button';
+            dismiss.className = 'price-drop-dismiss';
+            dismiss.textContent = '×';
+            dismiss.setAttribute('aria-label', t('prices.dismissDrop'));
+            dismiss.addEventListener('click', () => {
+                const watches = getPriceWatches();
+                if (watches[id]) delete watches[id].drop;
+                savePriceWatches(watches);
+                updateFavoritesList();
+            });
+            badge.appendChild(dismiss);
+            box.appendChild(badge);
+        }
+        const label = document.createElement('label');
+        label.textContent = t('prices.alertAt') + ' ';
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = '0.01';
+        input.inputMode = 'decimal';
+        input.className = 'price-target-input';
+        input.placeholder = price.current.toFixed(2);
+        if (typeof watch.target === 'number') input.value = watch.target;
+        label.appendChild(input);
+        box.appendChild(label);
+        const note = document.createElement('span');
+        note.className = 'price-target-note';
+        box.appendChild(note);
+        function updateNote() {
+            const target = getPriceWatches()[id] && getPriceWatches()[id].target;
+            note.textContent = typeof target === 'number' && price.current <= target ? t('prices.atTarget') : '';
+        }
+        input.addEventListener('change', () => {
+            const watches = getPriceWatches();
+            if (!watches[id]) return;
+            const target = parseFloat(input.value);
+            if (isNaN(target) || target <= 0) {
+                delete watches[id].target;
+                input.value = '';
+            } else {
+                watches[id].target = target;
+                track('price_target_set', { productId: id, target: target });
+            }
+            savePriceWatches(watches);
+            updateNote();
+        });
+        updateNote();
+        return box;
+    }
+    // Show a browser notification per drop, if the visitor allowed them
+    function notifyPriceDrops(drops) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+        drops.forEach(drop => {
+            const product = productsById[drop.id];
+            if (!product) return;
+            try {
+                new Notification(t('prices.notificationTitle'), {
+                    body: t('prices.notificationBody', { name: product.name, to: formatFeedPrice(drop.to), from: formatFeedPrice(drop.from) }),
+                    tag: 'price-drop-' + drop.id
+                });
+            } catch (e) {
+                // Some browsers only allow notifications from a service worker
+                console.error('Could not show a notification', e);
+            }
+        });
+    }
+    (function initPriceAlerts() {
+        if (!priceFeed) return;
+        // Favorites saved before prices existed start being watched now
+        getFavorites().forEach(watchPrice);
+        const result = VRPrices.checkWatches(priceFeed, getPriceWatches());
+        savePriceWatches(result.watches);
+        updateFavoritesList();
+        notifyPriceDrops(result.drops);
+        const alertsBtn = document.getElementById('price-alerts-btn');
+        if (!alertsBtn || !('Notification' in window)) return;
+        alertsBtn.hidden = Notification.permission !== 'default';
+        alertsBtn.addEventListener('click', () => {
+            Notification.requestPermission().then(permission => {
+                alertsBtn.hidden = permission !== 'default';
+            });
+        });
+    })();
+
     /**
      * COMPARISON MODE
      *
      * Adds a compare icon to each card. Users can select multiple items (up to 3) to compare
-     * side by side in a modal. A bottom bar appears when items are selected, showing the
-     * current count and a button to launch the comparison.
+     * in a modal spec table built from each product's `specs`. Rows where the products
+     * differ are highlighted and identical rows can be hidden. A bottom bar appears when
+     * items are selected, showing the current count and a button to launch the comparison.
      */
+    // Product ids selected for comparison
     function getCompareList() {
-        try {
-            return JSON.parse(localStorage.getItem('compareList')) || [];
-        } catch (e) {
-            return [];
-        }
+        return store.get('compareList', []);
     }
     function saveCompareList(list) {
-        localStorage.setItem('compareList', JSON.stringify(list));
+        const before = getCompareList();
+        store.set('compareList', list);
+        if (before.join() !== list.join()) emit('compare-changed', { productIds: list.slice() });
+        list.filter(id => !before.includes(id)).forEach(id => track('compare_added', { productId: id }));
     }
-    function toggleCompare(name) {
+    // Limit to 3 items to prevent cluttered comparisons
+    const maxCompareItems = 3;
+    function toggleCompare(id) {
         let list = getCompareList();
-        const index = list.indexOf(name);
+        const index = list.indexOf(id);
         if (index >= 0) {
             list.splice(index, 1);
         } else {
-            // Limit to 3 items to prevent cluttered comparisons
-            if (list.length >= 3) {
+            if (list.length >= maxCompareItems) {
                 list.shift();
             }
-            list.push(name);
+            list.push(id);
         }
         saveCompareList(list);
         updateCompareIcons();
         updateCompareBar();
     }
-    function updateCompareIcons() {
+    // Compare checkboxes on the given cards, or on every card on the page
+    function updateCompareIcons(cards) {
         const list = getCompareList();
-        document.querySelectorAll('.compare-icon').forEach(icon => {
+        const icons = cards ? cards.map(card => card.querySelector('.compare-icon')).filter(Boolean) : document.querySelectorAll('.compare-icon');
+        icons.forEach(icon => {
             const card = icon.closest('.card');
-            const name = card ? card.dataset.name : null;
-            if (name && list.includes(name)) {
+            const id = card ? card.dataset.id : null;
+            icon.setAttribute('aria-pressed', String(Boolean(id && list.includes(id))));
+            icon.setAttribute('aria-label', t('compare.label', { name: productsById[id] ? productsById[id].name : id }));
+            if (id && list.includes(id)) {
                 icon.classList.add('selected');
                 icon.textContent = '✅';
             } else {
@@ -789,58 +1991,213 @@ document.addEventListener('DOMContentLoaded', function () {
             compareBar.style.display = 'none';
         } else {
             compareBar.style.display = 'flex';
-            compareCount.textContent = `${list.length} item${list.length > 1 ? 's' : ''} selected for comparison`;
+            compareCount.textContent = t('compare.selected', { count: list.length });
         }
     }
-    function openCompareModal() {
-        const list = getCompareList();
-        const compareModal = document.getElementById('compare-modal');
+    // Spec rows shown in the comparison table. Rows with `categories` only
+    // appear when at least one compared product belongs to one of them.
+    const specFields = [
+        { key: 'priceBand', label: t('spec.priceBand'), format: v => priceBandLabels[v] || v },
+        { key: 'compatibility', label: t('spec.compatibility'), format: formatCompatibility },
+        { key: 'weightG', label: t('spec.weight'), format: v => v >= 1000 ? t.number(v / 1000) + ' kg' : t.number(v) + ' g' },
+        { key: 'batteryMah', label: t('spec.batteryMah'), format: v => t.number(v) + ' mAh' },
+        { key: 'batteryLifeH', label: t('spec.batteryLife'), format: v => t.number(v) + ' h' },
+        { key: 'cableLengthM', label: t('spec.cableLength'), format: v => t.number(v) + ' m' },
+        { key: 'platform', label: t('spec.platform'), categories: ['Headsets'] },
+        { key: 'display', label: t('spec.display'), categories: ['Headsets'] },
+        { key: 'trackingType', label: t('spec.tracking'), categories: ['Headsets', 'Trackers'] },
+        { key: 'connection', label: t('spec.connection'), categories: ['Audio', 'Controllers', 'Trackers'] },
+        { key: 'connector', label: t('spec.connector'), categories: ['Battery', 'Cables'] },
+        { key: 'strapType', label: t('spec.strapType'), categories: ['Comfort'] },
+        { key: 'hapticMotors', label: t('spec.hapticMotors'), categories: ['Haptics'] }
+    ];
+    // Turn a list of headset ids into readable names ('*' means any headset)
+    function formatCompatibility(ids) {
+        if (!Array.isArray(ids) || ids.length === 0) return null;
+        if (ids.includes('*')) return t('spec.anyHeadset');
+        return ids.map(id => (productsById[id] ? productsById[id].name : id)).join(', ');
+    }
+    // Format a single spec value, or return null when it is missing
+    function formatSpec(field, product) {
+        const specs = product.specs || {};
+        const value = specs[field.key];
+        if (value === undefined || value === null || value === '') return null;
+        const formatted = field.format ? field.format(value) : String(value);
+        return formatted === undefined ? null : formatted;
+    }
+    // Whether identical rows are hidden in the comparison table
+    function getHideIdenticalSpecs() {
+        return store.get('compareHideIdentical', false) === true;
+    }
+    // Build the aligned spec table for the given products
+    function buildCompareTable(products, hideIdentical) {
+        const table = document.createElement('table');
+        table.className = 'compare-table';
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        const corner = document.createElement('th');
+        corner.scope = 'col';
+        corner.textContent = t('compare.spec');
+        headRow.appendChild(corner);
+        products.forEach(product => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = product.title || product.name;
+            headRow.appendChild(th);
+        });
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+        const tbody = document.createElement('tbody');
+        const categories = products.map(p => p.category);
+        const rows = [{ label: t('compare.category'), values: categories.map(categoryLabel) }];
+        specFields.forEach(field => {
+            if (field.categories && !field.categories.some(cat => categories.includes(cat))) return;
+            rows.push({ label: field.label, values: products.map(p => formatSpec(field, p)) });
+        });
+        const headset = getMyHeadset();
+        if (headset) {
+            rows.unshift({
+                label: t('compare.fitsYour', { headset: productsById[headset].name }),
+                fitRow: true,
+                values: products.map(p => {
+                    const fits = fitsMyHeadset(p);
+                    return fits === null ? null : (fits ? t('common.yes') : t('common.no'));
+                })
+            });
+        }
+        rows.forEach(row => {
+            const differs = new Set(row.values.map(v => String(v))).size > 1;
+            if (hideIdentical && !differs && products.length > 1) return;
+            const tr = document.createElement('tr');
+            if (differs) tr.classList.add('spec-diff');
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = row.label;
+            tr.appendChild(th);
+            row.values.forEach(value => {
+                const td = document.createElement('td');
+                if (value === null) {
+                    td.className = 'spec-unknown';
+                    td.textContent = t('compare.unknown');
+                    td.title = t('compare.unknownTitle');
+                } else {
+                    td.textContent = value;
+                }
+                if (row.fitRow && value === t('common.no')) td.classList.add('spec-incompatible');
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        // Final row with a Shop Now link for each product
+        const shopRow = document.createElement('tr');
+        const shopLabel = document.createElement('th');
+        shopLabel.scope = 'row';
+        shopLabel.textContent = t('compare.buy');
+        shopRow.appendChild(shopLabel);
+        products.forEach(product => {
+            const td = document.createElement('td');
+            const link = document.createElement('a');
+            link.className = 'btn';
+            link.dataset.product = product.id;
+            link.href = shopUrl(product);
+            link.target = '_blank';
+            link.rel = 'noopener sponsored';
+            link.textContent = t('card.shopNow');
+            td.appendChild(link);
+            shopRow.appendChild(td);
+        });
+        tbody.appendChild(shopRow);
+        table.appendChild(tbody);
+        return table;
+    }
+    // Render the comparison table and its "hide identical rows" toggle
+    function renderCompareContent() {
         const compareContent = document.getElementById('compare-content');
-        if (!compareModal || !compareContent) return;
+        if (!compareContent) return;
         compareContent.innerHTML = '';
-        list.forEach(name => {
-            const card = Array.from(document.querySelectorAll('.card-grid > .card')).find(c => c.dataset.name === name);
-            if (card) {
-                const clone = card.cloneNode(true);
-                // Remove interactive elements (favorite icon, quick view, compare icon, details button)
-                const favIcon = clone.querySelector('.favorite-icon');
-                if (favIcon) favIcon.remove();
-                const detBtn = clone.querySelector('.details-btn');
-                if (detBtn) detBtn.remove();
-                const compIcon = clone.querySelector('.compare-icon');
-                if (compIcon) compIcon.remove();
-                compareContent.appendChild(clone);
-            }
+        const toggleLabel = document.createElement('label');
+        toggleLabel.className = 'compare-toggle';
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = getHideIdenticalSpecs();
+        const wrapper = document.createElement('div');
+        wrapper.className = 'compare-table-wrapper';
+        function renderTable() {
+            const products = getCompareList()
+                .map(id => productsById[id])
+                .filter(Boolean);
+            wrapper.innerHTML = '';
+            wrapper.appendChild(buildCompareTable(products, toggle.checked));
+        }
+        // Only the table is rebuilt, so the toggle keeps the keyboard focus
+        toggle.addEventListener('change', () => {
+            store.set('compareHideIdentical', toggle.checked);
+            renderTable();
         });
-        compareModal.style.display = 'flex';
-        document.body.style.overflow = 'hidden';
+        toggleLabel.appendChild(toggle);
+        toggleLabel.appendChild(document.createTextNode(' ' + t('compare.hideIdentical')));
+        compareContent.appendChild(toggleLabel);
+        renderTable();
+        compareContent.appendChild(wrapper);
     }
-    function closeCompareModal() {
-        const compareModal = document.getElementById('compare-modal');
-        if (compareModal) {
-            compareModal.style.display = 'none';
-            document.body.style.overflow = '';
-        }
+    const compareModal = document.getElementById('compare-modal');
+    function openCompareModal() {
+        if (!compareModal) return;
+        renderCompareContent();
+        modals.open(compareModal);
     }
     // Add compare icons and update state
-    allCards.forEach((card) => {
+    cardsById.forEach((card) => {
         if (!card.querySelector('.compare-icon')) {
-            const compIcon = document.createElement('span');
+            const compIcon = document.createElement('button');
+            compIcon.type = 'button';
             compIcon.className = 'compare-icon';
             compIcon.textContent = '⬜';
             card.appendChild(compIcon);
-            compIcon.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const name = card.dataset.name;
-                if (name) {
-                    toggleCompare(name);
-                }
-            });
         }
     });
     // Initialize compare icons and bar
     updateCompareIcons();
     updateCompareBar();
+
+    /**
+     * CARD CONTROLS
+     *
+     * The star, Quick View, compare and "This is mine" controls on the catalog
+     * cards are handled by one click listener on each grid, so a card needs no
+     * listeners of its own and can come and go as pages are shown. Shop Now links
+     * are reported by one listener on the document, wherever they are.
+     */
+    function handleCardClick(e) {
+        const control = e.target.closest('.favorite-icon, .details-btn, .compare-icon, .mine-btn');
+        const card = control ? control.closest('.card') : null;
+        if (!card || !card.dataset.id) return;
+        const id = card.dataset.id;
+        e.stopPropagation();
+        if (control.classList.contains('favorite-icon')) {
+            toggleFavorite(id, control);
+        } else if (control.classList.contains('details-btn')) {
+            e.preventDefault();
+            openQuickView(cardsById.get(id) || card);
+        } else if (control.classList.contains('compare-icon')) {
+            toggleCompare(id);
+        } else {
+            setMyHeadset(getMyHeadset() === id ? null : id);
+        }
+    }
+    ['headsets-grid', 'accessories-grid', 'trending-list'].forEach(gridId => {
+        const grid = document.getElementById(gridId);
+        if (grid) grid.addEventListener('click', handleCardClick);
+    });
+    // Every Shop Now link carries its product id: on the cards and their copies in
+    // Quick View, favorites and the quiz, in the comparison and in the kit's
+    // shopping list. It leaves the page as usual; the click is only reported.
+    document.addEventListener('click', (e) => {
+        const link = e.target instanceof Element ? e.target.closest('a[data-product]') : null;
+        if (link && productsById[link.dataset.product]) track('shop_click', { productId: link.dataset.product });
+    });
+    // Trending cards are copies of the catalog cards, so they wait for their controls
+    updateTrendingList();
     // Compare bar events
     const compareNowBtn = document.getElementById('compare-now-btn');
     if (compareNowBtn) {
@@ -849,52 +2206,113 @@ document.addEventListener('DOMContentLoaded', function () {
             openCompareModal();
         });
     }
-    const closeCompareBtn = document.querySelector('.close-compare');
-    if (closeCompareBtn) {
-        closeCompareBtn.addEventListener('click', closeCompareModal);
+    modals.register(compareModal);
+
+    /**
+     * SHAREABLE URL STATE
+     *
+     * Mirrors the search text, active facets, sort mode and the open Quick View into the URL
+     * (`?q=strap&category=Comfort,Audio&sort=popularity#product=bobovr-m3-pro`) so a view can be
+     * shared and survives a reload. Every change pushes a history entry, so back/forward
+     * step through filter changes and close or reopen the Quick View.
+     */
+    function readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const hashParams = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+        const facets = {};
+        facetDefs.forEach(def => {
+            facets[def.key] = (params.get(def.key) || '').split(',').filter(Boolean);
+        });
+        return {
+            query: params.get('q') || '',
+            facets: facets,
+            sort: params.get('sort') || 'default',
+            product: hashParams.get('product') || null
+        };
     }
-    const compareModal = document.getElementById('compare-modal');
-    if (compareModal) {
-        compareModal.addEventListener('click', (e) => {
-            if (e.target === compareModal) {
-                closeCompareModal();
-            }
+    // Build the URL that represents the current controls and Quick View
+    function buildStateUrl() {
+        const params = new URLSearchParams();
+        const query = searchInput ? searchInput.value.trim() : '';
+        if (query) params.set('q', query);
+        facetDefs.forEach(def => {
+            if (activeFacets[def.key].size > 0) params.set(def.key, Array.from(activeFacets[def.key]).join(','));
         });
+        if (sortFilter && sortFilter.value !== 'default') params.set('sort', sortFilter.value);
+        // Commas are valid in a query string; keep facet lists readable
+        const search = params.toString().replace(/%2C/g, ',');
+        const hash = quickViewProductId ? '#product=' + encodeURIComponent(quickViewProductId) : '';
+        return window.location.pathname + (search ? '?' + search : '') + hash;
+    }
+    // Write the current state to the URL, adding a history entry when `push` is set
+    function syncUrlState(push) {
+        const url = buildStateUrl();
+        const current = window.location.pathname + window.location.search + window.location.hash;
+        if (url === current) return;
+        if (push) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
+        }
+    }
+    // Set a select's value only if it offers that option
+    function setSelectValue(select, value) {
+        if (!select) return;
+        const hasOption = Array.from(select.options).some(opt => opt.value === value);
+        select.value = hasOption ? value : select.options[0].value;
+    }
+    // Restore controls and Quick View from the URL without writing history. On page
+    // load a product in the link counts as viewed; on back/forward it does not.
+    function applyUrlState(pageLoad) {
+        const state = readUrlState();
+        if (searchInput) searchInput.value = state.query;
+        facetDefs.forEach(def => {
+            const known = def.values.map(([value]) => value);
+            activeFacets[def.key] = new Set(state.facets[def.key].filter(value => known.includes(value)));
+        });
+        setSelectValue(sortFilter, state.sort);
+        filterCards();
+        const card = state.product ? cardsById.get(state.product) || null : null;
+        if (card) {
+            openQuickView(card, pageLoad === true ? { fromLink: true } : { fromHistory: true });
+        } else if (modals.isOpen(modal)) {
+            closeQuickView({ fromHistory: true });
+        }
+    }
+    // Record filter changes; typing is debounced so each keystroke isn't a history entry
+    let searchHistoryTimer = null;
+    if (searchInput) {
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchHistoryTimer);
+            searchHistoryTimer = setTimeout(() => syncUrlState(true), 500);
+        });
+    }
+    if (sortFilter) {
+        sortFilter.addEventListener('change', () => syncUrlState(true));
     }
+    window.addEventListener('popstate', () => applyUrlState(false));
+    applyUrlState(true);
 
     /**
      * RECOMMENDATION QUIZ
      *
      * Presents a multi-step quiz to help visitors choose products based on their use case,
-     * budget and priorities. Recommendations are displayed at the end of the quiz.
+     * budget and priorities. Questions, answers and per-answer product weights live in
+     * data/quiz.json; js/quiz.js decides which question comes next (some only follow certain
+     * answers) and ranks the whole catalog. Each recommendation shows why it was picked.
      */
     const startQuizBtn = document.getElementById('start-quiz-btn');
     const quizModal = document.getElementById('quiz-modal');
     const quizContent = document.getElementById('quiz-content');
-    const closeQuizBtn = document.querySelector('.close-quiz');
-    const quizQuestions = [
-        {
-            question: 'What do you primarily use VR for?',
-            answers: ['Gaming', 'Fitness', 'Productivity', 'Social']
-        },
-        {
-            question: 'What is your budget?',
-            answers: ['Low', 'Medium', 'High']
-        },
-        {
-            question: 'Which feature matters most to you?',
-            answers: ['Comfort', 'Audio', 'Haptics', 'Battery']
-        }
-    ];
-    function showQuizQuestion(index, responses) {
-        if (!quizContent) return;
+    function showQuizQuestion(responses) {
+        if (!quizContent || !quiz) return;
         quizContent.innerHTML = '';
-        if (index >= quizQuestions.length) {
+        const qObj = VRQuiz.nextQuestion(quiz, responses);
+        if (!qObj) {
             // Compute and display recommendations
             displayRecommendations(responses);
             return;
         }
-        const qObj = quizQuestions[index];
         const qElem = document.createElement('h3');
         qElem.textContent = qObj.question;
         quizContent.appendChild(qElem);
@@ -904,7 +2322,7 @@ document.addEventListener('DOMContentLoaded', function () {
         answersContainer.style.marginTop = '1rem';
         qObj.answers.forEach(ans => {
             const btn = document.createElement('button');
-            btn.textContent = ans;
+            btn.textContent = ans.label;
             btn.style.margin = '0.5rem 0';
             btn.style.padding = '0.65rem 1rem';
             // Use accent color for answer buttons
@@ -915,8 +2333,8 @@ document.addEventListener('DOMContentLoaded', function () {
             btn.style.fontWeight = '600';
             btn.style.cursor = 'pointer';
             btn.addEventListener('click', () => {
-                responses.push(ans);
-                showQuizQuestion(index + 1, responses);
+                responses[qObj.id] = ans.id;
+                showQuizQuestion(responses);
             });
             answersContainer.appendChild(btn);
         });
@@ -924,88 +2342,56 @@ document.addEventListener('DOMContentLoaded', function () {
     }
     function displayRecommendations(responses) {
         if (!quizContent) return;
-        // Award points for completing the quiz
-        try {
-            if (typeof addPoints === 'function') {
-                addPoints(10);
-            }
-        } catch (e) {}
-        // Record quiz completion and check achievements
-        try {
-            if (typeof incrementStat === 'function' && typeof checkAchievements === 'function') {
-                incrementStat('quizCompleted');
-                checkAchievements();
-            }
-        } catch (e) {}
+        track('quiz_completed', { answers: Object.assign({}, responses) });
         quizContent.innerHTML = '';
-        const [useCase, budget, priority] = responses;
-        // Determine recommended product names based on responses
-        let recs = [];
-        function addUnique(name) {
-            if (!recs.includes(name)) recs.push(name);
-        }
-        // Use case mapping
-        if (useCase === 'Gaming') {
-            addUnique('VR Gun Stock (AMVR)');
-            addUnique('Shadow Shot VR Bow');
-            addUnique('Weighted Golf Club Attachment (DriVR Elite)');
-        } else if (useCase === 'Fitness') {
-            addUnique('Ringside Weighted Exercise Gloves');
-            addUnique('Skywin VR Mat');
-            addUnique('Weighted Golf Club Attachment (DriVR Elite)');
-        } else if (useCase === 'Productivity') {
-            addUnique('Meta Quest Link Cable');
-            addUnique('Syntech 16 ft Link Cable');
-            addUnique('Casematix Hard Case');
-        } else if (useCase === 'Social') {
-            addUnique('SteelSeries Arctis Nova 4 Headphones');
-            addUnique('PRISMXR Low-Latency Earphones');
-            addUnique('KIWI Design K4 Duo Audio & Battery Strap');
-        }
-        // Priority mapping
-        if (priority === 'Comfort') {
-            addUnique('KIWI Design K4 Mini Head Strap');
-            addUnique('BOBOVR M3 Pro Head Strap');
-        } else if (priority === 'Audio') {
-            addUnique('SteelSeries Arctis Nova 4 Headphones');
-            addUnique('PRISMXR Low-Latency Earphones');
-        } else if (priority === 'Haptics') {
-            addUnique('Woojer Vest 3 Haptic Vest');
-            addUnique('bHaptics TactSuit X16');
-        } else if (priority === 'Battery') {
-            addUnique('BOBOVR S3 Pro Battery Strap');
-            addUnique('YOGES Charging Station');
-            addUnique('PRISMXR Carina D1 Charging Dock');
-        }
-        // Budget mapping (adjust recs order or add items for high budgets)
-        if (budget === 'High') {
-            addUnique('Roto VR Explorer Chair');
-            addUnique('VIVE Ultimate Tracker');
-        }
+        // Rank the catalog, leaving out products known not to fit the visitor's headset
+        const candidates = catalog.filter(product => fitsMyHeadset(product) !== false);
+        const recs = VRQuiz.scoreProducts(quiz, responses, candidates);
         // Create header
         const header = document.createElement('h3');
-        header.textContent = 'Recommended for you';
+        header.textContent = t('quiz.recommended');
         quizContent.appendChild(header);
         const container = document.createElement('div');
         container.className = 'compare-content';
-        recs.slice(0, 4).forEach(name => {
-            const card = Array.from(document.querySelectorAll('.card-grid > .card')).find(c => c.dataset.name === name);
+        recs.forEach(rec => {
+            const card = cardsById.get(rec.product.id);
             if (card) {
                 const clone = card.cloneNode(true);
                 // Remove interactive elements
                 const favIcon = clone.querySelector('.favorite-icon');
                 if (favIcon) favIcon.remove();
+                // Quick View opens on top of the results, which are still there when it closes
                 const detBtn = clone.querySelector('.details-btn');
-                if (detBtn) detBtn.remove();
+                if (detBtn) {
+                    detBtn.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        openQuickView(card);
+                    });
+                }
                 const compIcon = clone.querySelector('.compare-icon');
                 if (compIcon) compIcon.remove();
+                const mineBtn = clone.querySelector('.mine-btn');
+                if (mineBtn) mineBtn.remove();
+                clone.removeAttribute('tabindex');
+                // Explain which answers led to this pick
+                const why = document.createElement('p');
+                why.className = 'quiz-reason';
+                why.textContent = t('quiz.why', { reasons: rec.reasons.map(r => r.reason).join(' · ') });
+                const heading = clone.querySelector('h3');
+                if (heading) heading.after(why);
                 clone.style.flex = '1 1 45%';
                 container.appendChild(clone);
             }
         });
+        if (recs.length === 0) {
+            const none = document.createElement('p');
+            none.textContent = t('quiz.noMatches');
+            container.appendChild(none);
+        }
         quizContent.appendChild(container);
         const restartBtn = document.createElement('button');
-        restartBtn.textContent = 'Retake Quiz';
+        restartBtn.textContent = t('quiz.retake');
         restartBtn.style.marginTop = '1rem';
         restartBtn.style.padding = '0.65rem 1rem';
         // Use accent color for the restart button
@@ -1016,34 +2402,22 @@ document.addEventListener('DOMContentLoaded', function () {
         restartBtn.style.fontWeight = '600';
         restartBtn.style.cursor = 'pointer';
         restartBtn.addEventListener('click', () => {
-            quizResponses = [];
-            showQuizQuestion(0, []);
+            quizResponses = {};
+            showQuizQuestion(quizResponses);
         });
         quizContent.appendChild(restartBtn);
     }
-    let quizResponses = [];
+    let quizResponses = {};
     if (startQuizBtn && quizModal && quizContent) {
+        // The quiz needs its data file; hide the entry point if it failed to load
+        if (!quiz) startQuizBtn.style.display = 'none';
         startQuizBtn.addEventListener('click', () => {
-            quizResponses = [];
-            showQuizQuestion(0, []);
-            quizModal.style.display = 'flex';
-            document.body.style.overflow = 'hidden';
-        });
-    }
-    if (closeQuizBtn) {
-        closeQuizBtn.addEventListener('click', () => {
-            quizModal.style.display = 'none';
-            document.body.style.overflow = '';
-        });
-    }
-    if (quizModal) {
-        quizModal.addEventListener('click', (e) => {
-            if (e.target === quizModal) {
-                quizModal.style.display = 'none';
-                document.body.style.overflow = '';
-            }
+            quizResponses = {};
+            showQuizQuestion(quizResponses);
+            modals.open(quizModal);
         });
     }
+    modals.register(quizModal);
 
     /** MEMORY MATCH GAME **/
     // Variables to track memory game state
@@ -1091,13 +2465,11 @@ document.addEventListener('DOMContentLoaded', function () {
         if (card.dataset.icon === firstMemoryCard.dataset.icon) {
             // Match found
             memoryPairsMatched++;
-            addPoints(5);
-            incrementStat('memoryMatches');
+            track('memory_match', { icon: card.dataset.icon });
             firstMemoryCard = null;
             if (memoryPairsMatched === 8) {
                 // Game completed
-                incrementStat('memoryGamesCompleted');
-                checkAchievements();
+                track('memory_completed');
                 const restartBtn = document.getElementById('restart-memory-game');
                 if (restartBtn) restartBtn.style.display = 'block';
             }
@@ -1115,40 +2487,1402 @@ document.addEventListener('DOMContentLoaded', function () {
         }
     }
 
-    // Open the memory game modal and start a game
+    // Open the memory game modal and start a game (its close button is wired by the modal manager)
+    const memoryModal = document.getElementById('memory-game-modal');
     function openMemoryGame() {
-        const modal = document.getElementById('memory-game-modal');
-        if (!modal) return;
-        modal.style.display = 'flex';
-        document.body.style.overflow = 'hidden';
+        if (!memoryModal) return;
         startMemoryGame();
+        modals.open(memoryModal);
     }
-
-    // Close the memory game modal
-    function closeMemoryGame() {
-        const modal = document.getElementById('memory-game-modal');
-        if (!modal) return;
-        modal.style.display = 'none';
-        document.body.style.overflow = '';
-    }
+    modals.register(memoryModal);
 
     // Hook up memory game buttons
     const startMemoryBtn = document.getElementById('start-memory-game');
-    const closeMemoryBtn = document.getElementById('close-memory-game');
     const restartMemoryBtn = document.getElementById('restart-memory-game');
     if (startMemoryBtn) {
         startMemoryBtn.addEventListener('click', () => {
             openMemoryGame();
         });
     }
-    if (closeMemoryBtn) {
-        closeMemoryBtn.addEventListener('click', () => {
-            closeMemoryGame();
-        });
-    }
     if (restartMemoryBtn) {
         restartMemoryBtn.addEventListener('click', () => {
             startMemoryGame();
         });
     }
-});
\ No newline at end of file
+
+    /**
+     * VOICE COMMANDS
+     *
+     * A voice search result is first read as a command (js/voice.js): "show comfort
+     * accessories", "sort by popularity", "compare Woojer and bHaptics", "favorite the
+     * Syntech cable", "start the quiz" or "surprise me". Anything else goes into the
+     * search box as before. The readout under the voice button says what was heard
+     * and what the page did about it.
+     */
+    const voiceReadout = document.getElementById('voice-readout');
+    // Spoken product names are matched against the whole catalog, headsets included
+    const voiceIndex = VRSearch.createIndex(catalog);
+    function findSpokenProduct(phrase) {
+        let results = VRSearch.search(voiceIndex, phrase);
+        // Words the catalog doesn't know ("the Syntech thing") are dropped on a second try
+        if (results.length === 0) {
+            const suggestion = VRSearch.suggest(voiceIndex, phrase, 1)[0];
+            if (suggestion) results = VRSearch.search(voiceIndex, suggestion);
+        }
+        return results.length > 0 ? results[0].id : null;
+    }
+    function showVoiceReadout(transcript, outcome) {
+        if (!voiceReadout) return;
+        voiceReadout.textContent = t('voice.heard', { text: transcript.trim().replace(/[.!?]+$/, '') }) + ' ' + outcome;
+        voiceReadout.hidden = false;
+    }
+    function setSearchQuery(query) {
+        if (!searchInput) return;
+        searchInput.value = query;
+        searchInput.dispatchEvent(new Event('input'));
+    }
+    // Carry out a transcript and return the command it was read as
+    function runVoiceCommand(transcript) {
+        const command = VRVoice.parseCommand(transcript, {
+            locale: locale,
+            categories: categoryLabels,
+            findProduct: findSpokenProduct
+        });
+        const names = ids => ids.map(id => productsById[id].name).join(', ');
+        let outcome;
+        if (command.type === 'category') {
+            // A category replaces the other filters and any search, so it shows in full
+            if (searchInput) searchInput.value = '';
+            facetDefs.forEach(def => activeFacets[def.key].clear());
+            if (command.category) activeFacets.category.add(command.category);
+            filterCards();
+            syncUrlState(true);
+            if (command.category) track('category_changed', { category: command.category });
+            outcome = command.category
+                ? t('voice.showingCategory', { category: categoryLabels[command.category] })
+                : t('voice.showingAll');
+        } else if (command.type === 'sort' && sortFilter) {
+            sortFilter.value = command.sort;
+            sortFilter.dispatchEvent(new Event('change'));
+            outcome = t('voice.sorted', { sort: sortFilter.options[sortFilter.selectedIndex].textContent });
+        } else if (command.type === 'compare') {
+            const ids = command.productIds.slice(0, maxCompareItems);
+            saveCompareList(ids);
+            updateCompareIcons();
+            updateCompareBar();
+            if (ids.length > 1) openCompareModal();
+            outcome = t(ids.length > 1 ? 'voice.comparing' : 'voice.compareAdded', { names: names(ids) });
+            if (command.missing.length > 0) outcome += ' ' + t('voice.notFound', { names: command.missing.join(', ') });
+        } else if (command.type === 'favorite') {
+            const list = getActiveWishlist(getWishlists());
+            const already = list.items.some(item => item.id === command.productId);
+            if (!already) toggleWishlistItem(list.id, command.productId);
+            outcome = t(already ? 'voice.alreadyFavorite' : 'voice.favorited', { name: names([command.productId]), list: list.name });
+        } else if (command.type === 'quiz' && quiz && startQuizBtn) {
+            startQuizBtn.click();
+            outcome = t('voice.startingQuiz');
+        } else if (command.type === 'surprise' && surpriseBtn) {
+            surpriseBtn.click();
+            outcome = t('voice.surprise');
+        } else {
+            const query = command.type === 'search' ? command.query : transcript;
+            setSearchQuery(query);
+            outcome = t('voice.searching', { query: query });
+        }
+        showVoiceReadout(transcript, outcome);
+        return command;
+    }
+
+    /**
+     * KEYBOARD NAVIGATION
+     *
+     * Each `.card-grid` is one tab stop: arrow keys, Home and End move the focus
+     * between its visible cards (roving tabindex). On a focused card `f` favorites it,
+     * `c` toggles compare and Enter opens Quick View, by pressing the card's own
+     * buttons. Anywhere outside a text field `/` jumps to the search box and `?`
+     * opens the shortcuts overlay. Shortcuts are ignored while a modal is open.
+     */
+    function visibleGridCards(grid) {
+        return Array.from(grid.children).filter(el => el.classList.contains('card') && el.style.display !== 'none' && !el.hidden);
+    }
+    // One tab stop per grid: the card focused last if it is still shown, else the first one
+    function refreshRovingFocus() {
+        document.querySelectorAll('.card-grid').forEach(grid => {
+            const cards = visibleGridCards(grid);
+            const current = cards.find(card => card.getAttribute('tabindex') === '0') || cards[0];
+            Array.from(grid.children).forEach(card => {
+                if (card.classList.contains('card')) card.setAttribute('tabindex', card === current ? '0' : '-1');
+            });
+        });
+    }
+    function setGridTabStop(card) {
+        Array.from(card.parentElement.children).forEach(el => {
+            if (el.classList.contains('card')) el.setAttribute('tabindex', el === card ? '0' : '-1');
+        });
+    }
+    // Cards per row, from the layout: how many share the first card's top edge
+    function gridColumns(cards) {
+        if (cards.length === 0) return 1;
+        const top = cards[0].offsetTop;
+        const count = cards.filter(card => card.offsetTop === top).length;
+        return Math.max(1, count);
+    }
+    function isTextField(el) {
+        return Boolean(el) && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+    }
+    (function initKeyboardNavigation() {
+        const shortcutsModal = document.getElementById('shortcuts-modal');
+        const shortcutsBtn = document.getElementById('shortcuts-btn');
+        modals.register(shortcutsModal);
+        function openShortcuts() {
+            if (shortcutsModal) modals.open(shortcutsModal);
+        }
+        if (shortcutsBtn) shortcutsBtn.addEventListener('click', openShortcuts);
+        refreshRovingFocus();
+        // Clicking or tabbing into a card makes it the grid's tab stop
+        document.addEventListener('focusin', (e) => {
+            const card = e.target.closest && e.target.closest('.card-grid > .card');
+            if (card && card.getAttribute('tabindex') !== '0') setGridTabStop(card);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || modals.isOpen()) return;
+            const target = e.target instanceof Element ? e.target : document.body;
+            if (isTextField(target) || target.closest('.wishlist-picker')) return;
+            if (e.key === '/') {
+                if (!searchInput) return;
+                e.preventDefault();
+                searchInput.focus();
+                searchInput.select();
+                return;
+            }
+            if (e.key === '?') {
+                e.preventDefault();
+                openShortcuts();
+                return;
+            }
+            const card = target.closest('.card-grid > .card');
+            if (!card) return;
+            const onCard = target === card;
+            const press = (selector) => {
+                const btn = card.querySelector(selector);
+                if (!btn) return;
+                e.preventDefault();
+                btn.click();
+            };
+            if (e.key === 'f') {
+                press('.favorite-icon');
+            } else if (e.key === 'c') {
+                press('.compare-icon');
+            } else if (e.key === 'Enter' && onCard) {
+                press('.details-btn');
+            } else if (onCard && ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'].includes(e.key)) {
+                const cards = visibleGridCards(card.parentElement);
+                const index = cards.indexOf(card);
+                const columns = gridColumns(cards);
+                const next = {
+                    ArrowLeft: index - 1,
+                    ArrowRight: index + 1,
+                    ArrowUp: index - columns,
+                    ArrowDown: index + columns,
+                    Home: 0,
+                    End: cards.length - 1
+                }[e.key];
+                e.preventDefault();
+                if (next >= 0 && next < cards.length) cards[next].focus();
+            }
+        });
+    })();
+
+    /**
+     * KIT BUILDER
+     *
+     * Builds a complete setup around one headset from the slots in data/kits.json
+     * (js/kits.js): each slot is filled from the catalog, and the builder shows which
+     * are still empty, suggests a fill for them and warns about conflicts such as two
+     * battery straps or an accessory that doesn't fit. The kit in progress is saved,
+     * can be kept as a wishlist or shared as a link, and ends in a "Shop all" list.
+     */
+    const kitSection = document.getElementById('kit-builder-section');
+    const kitHeadsetSelect = document.getElementById('kit-headset-select');
+    const kitSlotsEl = document.getElementById('kit-slots');
+    const kitWarningsEl = document.getElementById('kit-warnings');
+    const kitStatus = document.getElementById('kit-status');
+    function setKitStatus(message) {
+        if (kitStatus) kitStatus.textContent = message;
+    }
+    // The kit in progress, starting from the visitor's own headset
+    function getKit() {
+        const kit = store.get('kitDraft', null);
+        return kit && kit.slots ? kit : VRKits.createKit(getMyHeadset());
+    }
+    function saveKit(kit) {
+        store.set('kitDraft', kit);
+    }
+    // Suggestions favour what other visitors click most
+    function suggestKitFill(kit) {
+        const counts = getTrendingCounts();
+        return VRKits.suggestFill(kitRules, kit, catalog, product => counts[product.id] || 0);
+    }
+    function productOption(product) {
+        const option = document.createElement('option');
+        option.value = product.id;
+        const price = VRPrices.priceFor(priceFeed, product.id);
+        option.textContent = product.name + (price ? ` (${formatFeedPrice(price.current)})` : '');
+        return option;
+    }
+    // One slot: its status, a picker from the matching catalog products and a suggestion
+    function buildKitSlot(kit, slot, suggestion) {
+        const box = document.createElement('div');
+        box.className = 'kit-slot kit-slot-' + slot.status;
+        box.dataset.slot = slot.id;
+        const heading = document.createElement('h3');
+        heading.textContent = slot.label;
+        const badge = document.createElement('span');
+        badge.className = 'kit-slot-status';
+        if (slot.status === 'covered') {
+            badge.textContent = t('kit.coveredBy', { name: productsById[slot.coveredBy].name });
+        } else if (slot.status === 'empty') {
+            badge.textContent = slot.optional ? t('kit.optional') : t('kit.empty');
+        } else {
+            badge.textContent = '✓';
+            badge.setAttribute('aria-label', t('kit.filled'));
+        }
+        heading.appendChild(badge);
+        box.appendChild(heading);
+        const hint = document.createElement('p');
+        hint.className = 'kit-slot-hint';
+        hint.textContent = slot.hint;
+        box.appendChild(hint);
+        const options = VRKits.candidates(kitRules, slot.id, catalog, kit.headset);
+        const select = document.createElement('select');
+        select.className = 'kit-slot-select';
+        select.setAttribute('aria-label', slot.multiple ? t('kit.addTo', { slot: slot.label }) : slot.label);
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = slot.multiple ? t('kit.addItem') : (options.length > 0 ? t('kit.nothingYet') : t('kit.nothingFits'));
+        select.appendChild(none);
+        options.filter(product => !(slot.multiple && slot.items.includes(product.id))).forEach(product => {
+            select.appendChild(productOption(product));
+        });
+        // Keep a chosen product selectable even when it doesn't fit, so it can be seen and changed
+        slot.items.forEach(id => {
+            if (!slot.multiple && !options.some(product => product.id === id)) select.appendChild(productOption(productsById[id]));
+        });
+        if (!slot.multiple) select.value = slot.items[0] || '';
+        select.addEventListener('change', () => {
+            saveKit(VRKits.setSlot(kitRules, getKit(), slot.id, select.value));
+            updateKitBuilder();
+        });
+        box.appendChild(select);
+        if (slot.multiple && slot.items.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'kit-slot-items';
+            slot.items.forEach(id => {
+                const li = document.createElement('li');
+                li.textContent = productsById[id].name + ' ';
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'kit-remove';
+                remove.textContent = '×';
+                remove.setAttribute('aria-label', t('kit.remove', { name: productsById[id].name }));
+                remove.addEventListener('click', () => {
+                    saveKit(VRKits.setSlot(kitRules, getKit(), slot.id, id));
+                    updateKitBuilder();
+                });
+                li.appendChild(remove);
+                list.appendChild(li);
+            });
+            box.appendChild(list);
+        }
+        if (suggestion) {
+            const suggest = document.createElement('p');
+            suggest.className = 'kit-suggestion';
+            suggest.textContent = t('kit.suggested', { name: productsById[suggestion].name }) + ' ';
+            const use = document.createElement('button');
+            use.type = 'button';
+            use.className = 'kit-use-suggestion';
+            use.textContent = t('kit.useIt');
+            use.addEventListener('click', () => {
+                saveKit(VRKits.setSlot(kitRules, getKit(), slot.id, suggestion));
+                updateKitBuilder();
+            });
+            suggest.appendChild(use);
+            box.appendChild(suggest);
+        }
+        return box;
+    }
+    // "Shop all": an affiliate link per product in the kit, with the feed's total
+    function updateKitShopList(kit) {
+        const shopList = document.getElementById('kit-shop-list');
+        const total = document.getElementById('kit-total');
+        const ownHeadset = document.getElementById('kit-own-headset');
+        if (!shopList) return;
+        shopList.innerHTML = '';
+        const ids = VRKits.kitProductIds(kitRules, kit).filter(id => productsById[id]);
+        if (kit.headset && !(ownHeadset && ownHeadset.checked)) ids.unshift(kit.headset);
+        let sum = 0;
+        let priced = 0;
+        ids.forEach(id => {
+            const product = productsById[id];
+            const li = document.createElement('li');
+            const link = document.createElement('a');
+            link.dataset.product = id;
+            link.href = shopUrl(product);
+            link.target = '_blank';
+            link.rel = 'noopener sponsored';
+            link.textContent = product.name;
+            li.appendChild(link);
+            const price = VRPrices.priceFor(priceFeed, id);
+            if (price) {
+                li.appendChild(document.createTextNode(' · ' + formatFeedPrice(price.current)));
+                sum += price.current;
+                priced++;
+            }
+            shopList.appendChild(li);
+        });
+        document.getElementById('kit-shop').hidden = ids.length === 0;
+        if (total) {
+            total.textContent = priced === 0 ? '' : (priced < ids.length
+                ? t('kit.totalPartial', { total: formatFeedPrice(sum), count: priced })
+                : t('kit.total', { total: formatFeedPrice(sum) }));
+        }
+    }
+    function updateKitBuilder() {
+        if (!kitSection || kitRules.slots.length === 0) return;
+        const kit = getKit();
+        if (kitHeadsetSelect) kitHeadsetSelect.value = kit.headset || '';
+        const analysis = VRKits.analyzeKit(kitRules, kit, productsById, {
+            redundant: t('kit.warning.redundant'),
+            fit: t('kit.warning.fit'),
+            unknownFit: t('kit.warning.unknownFit'),
+            and: t('common.and')
+        });
+        const suggestions = kit.headset ? suggestKitFill(kit) : {};
+        kitSlotsEl.innerHTML = '';
+        kitSlotsEl.hidden = !kit.headset;
+        if (kit.headset) {
+            analysis.slots.forEach(slot => kitSlotsEl.appendChild(buildKitSlot(kit, slot, suggestions[slot.id])));
+        }
+        kitWarningsEl.innerHTML = '';
+        analysis.warnings.forEach(warning => {
+            const li = document.createElement('li');
+            li.className = 'kit-warning kit-warning-' + warning.type;
+            li.textContent = warning.message;
+            kitWarningsEl.appendChild(li);
+        });
+        const summary = document.getElementById('kit-summary');
+        if (summary) {
+            const missing = analysis.missing.map(id => analysis.slots.find(slot => slot.id === id).label);
+            summary.textContent = !kit.headset ? t('kit.start')
+                : (missing.length === 0 ? t('kit.complete') : t('kit.stillEmpty', { slots: missing.join(', ') }));
+        }
+        const fillBtn = document.getElementById('kit-fill-btn');
+        if (fillBtn) fillBtn.disabled = Object.keys(suggestions).length === 0;
+        updateKitShopList(kit);
+    }
+    (function initKitBuilder() {
+        if (!kitSection) return;
+        if (kitRules.slots.length === 0) {
+            kitSection.style.display = 'none';
+            return;
+        }
+        if (kitHeadsetSelect) {
+            catalog.filter(p => p.category === 'Headsets').forEach(headset => {
+                const option = document.createElement('option');
+                option.value = headset.id;
+                option.textContent = headset.name;
+                kitHeadsetSelect.appendChild(option);
+            });
+            // Changing the headset keeps the picks and lets the warnings show what no longer fits
+            kitHeadsetSelect.addEventListener('change', () => {
+                const kit = getKit();
+                kit.headset = kitHeadsetSelect.value || null;
+                saveKit(kit);
+                const ownHeadset = document.getElementById('kit-own-headset');
+                if (ownHeadset) ownHeadset.checked = kit.headset !== null && kit.headset === getMyHeadset();
+                updateKitBuilder();
+            });
+        }
+        const ownHeadset = document.getElementById('kit-own-headset');
+        if (ownHeadset) {
+            ownHeadset.checked = getKit().headset !== null && getKit().headset === getMyHeadset();
+            ownHeadset.addEventListener('change', () => updateKitShopList(getKit()));
+        }
+        const fillBtn = document.getElementById('kit-fill-btn');
+        if (fillBtn) {
+            fillBtn.addEventListener('click', () => {
+                let kit = getKit();
+                const suggestions = suggestKitFill(kit);
+                Object.keys(suggestions).forEach(slotId => {
+                    kit = VRKits.setSlot(kitRules, kit, slotId, suggestions[slotId]);
+                });
+                saveKit(kit);
+                updateKitBuilder();
+                setKitStatus(t('kit.filledStatus'));
+            });
+        }
+        const saveBtn = document.getElementById('kit-save-btn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                const kit = getKit();
+                const ids = VRKits.kitProductIds(kitRules, kit).filter(id => productsById[id]);
+                if (!kit.headset || ids.length === 0) {
+                    setKitStatus(t('kit.saveEmpty'));
+                    return;
+                }
+                const result = VRWishlists.createList(getWishlists(), t('kit.listName', { headset: productsById[kit.headset].name }));
+                let lists = result.lists;
+                kitRules.slots.forEach(slot => (kit.slots[slot.id] || []).forEach(id => {
+                    if (!productsById[id] || VRWishlists.listsWith(lists, id).includes(result.id)) return;
+                    lists = VRWishlists.toggleItem(lists, result.id, id).lists;
+                    lists = VRWishlists.updateItem(lists, result.id, id, { note: slot.label });
+                    watchPrice(id);
+                }));
+                saveWishlists(lists);
+                store.set('activeWishlist', result.id);
+                updateCardFavoriteIcons();
+                updateFavoritesList();
+                setKitStatus(t('kit.saved', { list: lists.find(list => list.id === result.id).name }));
+            });
+        }
+        const shareBtn = document.getElementById('kit-share-btn');
+        const shareBox = document.getElementById('kit-share');
+        const shareLink = document.getElementById('kit-share-link');
+        if (shareBtn && shareBox && shareLink) {
+            shareBtn.addEventListener('click', () => {
+                const kit = getKit();
+                if (!kit.headset) {
+                    setKitStatus(t('kit.shareNoHeadset'));
+                    return;
+                }
+                shareLink.value = location.origin + location.pathname + '#kit=' + VRKits.encodeKit(kitRules, kit);
+                shareBox.hidden = false;
+                shareLink.select();
+                setKitStatus(t('kit.shareReady'));
+            });
+        }
+        const copyBtn = document.getElementById('kit-copy-btn');
+        if (copyBtn && shareLink) {
+            copyBtn.addEventListener('click', () => copyShareLink(shareLink, setKitStatus));
+        }
+        const clearBtn = document.getElementById('kit-clear-btn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                saveKit(VRKits.createKit(getKit().headset));
+                if (shareBox) shareBox.hidden = true;
+                updateKitBuilder();
+                setKitStatus(t('kit.cleared'));
+            });
+        }
+        // Opened from a shared kit link: load it into the builder, asking first when
+        // that would replace picks the visitor already made
+        if (location.hash.startsWith('#kit=')) {
+            const shared = VRKits.decodeKit(kitRules, location.hash);
+            history.replaceState(history.state, '', location.pathname + location.search);
+            if (shared && (!shared.headset || productsById[shared.headset])) {
+                const loadShared = () => {
+                    saveKit(shared);
+                    if (ownHeadset) ownHeadset.checked = shared.headset !== null && shared.headset === getMyHeadset();
+                    if (shareBox) shareBox.hidden = true;
+                    updateKitBuilder();
+                    setKitStatus(t('kit.opened'));
+                };
+                const draft = store.get('kitDraft', null);
+                const prompt = document.getElementById('kit-shared');
+                if (draft && draft.slots && VRKits.kitProductIds(kitRules, draft).length > 0 && prompt) {
+                    prompt.hidden = false;
+                    document.getElementById('kit-shared-load').addEventListener('click', () => {
+                        prompt.hidden = true;
+                        loadShared();
+                    });
+                    document.getElementById('kit-shared-keep').addEventListener('click', () => {
+                        prompt.hidden = true;
+                        setKitStatus(t('kit.sharedKept'));
+                    });
+                } else {
+                    loadShared();
+                }
+                kitSection.scrollIntoView();
+            }
+        }
+        updateKitBuilder();
+    })();
+
+    /**
+     * YOUR DATA: EXPORT, IMPORT & TRANSFER
+     *
+     * Everything saved in this browser can be downloaded as one versioned JSON file
+     * and imported elsewhere, replacing or merging with what is there (js/profile.js).
+     * Favorites alone can also be moved with a short transfer code, shown as text and
+     * as a QR code that opens the site with the code filled in.
+     */
+    const profileStatus = document.getElementById('profile-status');
+    const transferInput = document.getElementById('transfer-input');
+    function setProfileStatus(message) {
+        if (profileStatus) profileStatus.textContent = message;
+    }
+    // Order achievement tiers so merging keeps the higher one
+    function achievementTierRank(key, value) {
+        const def = rules.achievements.find(a => a.key === key);
+        return def ? VRGamification.unlockedTier(def, value) : (value ? 0 : -1);
+    }
+    // Download everything stored as a dated JSON file
+    function exportProfile() {
+        const profile = VRProfile.collectProfile(store);
+        const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `vr-gear-profile-${profile.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        setProfileStatus(t('profile.exported'));
+    }
+    // Check and load a profile file, then reload so every feature picks it up
+    async function importProfile(file, mode) {
+        // Reloading would throw away data that only lives in memory
+        if (!store.persistent) {
+            setProfileStatus(t('profile.storageBlocked'));
+            return;
+        }
+        let doc;
+        try {
+            doc = JSON.parse(await file.text());
+        } catch (e) {
+            setProfileStatus(t('profile.unreadable'));
+            return;
+        }
+        const result = VRProfile.validateProfile(doc, { productIdForName: productIdForName });
+        if (!result.ok) {
+            setProfileStatus(t('profile.notImported') + ' ' + result.errors.join(' '));
+            return;
+        }
+        const replace = mode === 'replace';
+        const data = replace ? result.data : VRProfile.mergeProfiles(VRProfile.collectProfile(store).data, result.data, {
+            tierRank: achievementTierRank,
+            maxCompare: maxCompareItems
+        });
+        VRProfile.applyProfile(store, data, replace);
+        setProfileStatus(replace ? t('profile.replaced') : t('profile.merged'));
+        location.reload();
+    }
+    // Link that opens the site with a transfer code for the current favorites
+    function transferLink() {
+        const ids = getFavorites().filter(id => productsById[id]);
+        if (ids.length === 0) return null;
+        return location.origin + location.pathname + '#transfer=' + VRProfile.encodeTransferCode(ids);
+    }
+    // Add the favorites carried by a transfer code to the list on show; returns how many were new
+    function importTransferCode(text) {
+        const ids = VRProfile.decodeTransferCode(text);
+        if (!ids) return null;
+        const favs = getFavorites();
+        let lists = getWishlists();
+        const listId = getActiveWishlist(lists).id;
+        let added = 0;
+        ids.forEach(id => {
+            if (productsById[id] && !favs.includes(id)) {
+                lists = VRWishlists.toggleItem(lists, listId, id).lists;
+                favs.push(id);
+                watchPrice(id);
+                added++;
+            }
+        });
+        saveWishlists(lists);
+        updateCardFavoriteIcons();
+        updateFavoritesList();
+        return added;
+    }
+    (function initProfile() {
+        const exportBtn = document.getElementById('export-profile-btn');
+        const importBtn = document.getElementById('import-profile-btn');
+        const importInput = document.getElementById('import-profile-input');
+        const transferBtn = document.getElementById('transfer-code-btn');
+        const transferBox = document.getElementById('transfer-code');
+        const transferForm = document.getElementById('transfer-form');
+        if (exportBtn) exportBtn.addEventListener('click', exportProfile);
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', () => {
+                const file = importInput.files[0];
+                const mode = document.querySelector('input[name="import-mode"]:checked');
+                if (file) importProfile(file, mode ? mode.value : 'merge');
+                importInput.value = '';
+            });
+        }
+        if (transferBtn && transferBox) {
+            transferBtn.addEventListener('click', () => {
+                const link = transferLink();
+                if (!link) {
+                    transferBox.style.display = 'none';
+                    setProfileStatus(t('transfer.noFavorites'));
+                    return;
+                }
+                document.getElementById('transfer-code-text').textContent = link.slice(link.indexOf('#transfer=') + '#transfer='.length);
+                const qrBox = document.getElementById('transfer-qr');
+                qrBox.innerHTML = '';
+                // QR rendering needs the qrcode-generator library; the text code works without it
+                if (typeof qrcode === 'function') {
+                    const qr = qrcode(0, 'M');
+                    qr.addData(link);
+                    qr.make();
+                    const img = document.createElement('img');
+                    img.src = qr.createDataURL(4, 8);
+                    img.alt = t('transfer.qrAlt');
+                    qrBox.appendChild(img);
+                }
+                transferBox.style.display = 'block';
+                setProfileStatus('');
+            });
+        }
+        if (transferForm && transferInput) {
+            transferForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const added = importTransferCode(transferInput.value);
+                if (added === null) {
+                    setProfileStatus(t('transfer.invalid'));
+                    return;
+                }
+                transferInput.value = '';
+                setProfileStatus(t('transfer.added', { count: added }));
+            });
+        }
+        // Opened from a transfer QR code: fill in the code and let the visitor confirm
+        if (transferInput && location.hash.startsWith('#transfer=')) {
+            let code = null;
+            try {
+                code = decodeURIComponent(location.hash.slice('#transfer='.length));
+            } catch (e) {
+                // A link with a broken escape carries no usable code
+            }
+            history.replaceState(history.state, '', location.pathname + location.search);
+            if (code === null) {
+                setProfileStatus(t('transfer.invalid'));
+            } else {
+                transferInput.value = code;
+                setProfileStatus(t('transfer.confirm'));
+            }
+            const section = document.getElementById('profile-section');
+            if (section) section.scrollIntoView();
+        }
+    })();
+
+    /**
+     * OFFLINE & INSTALL
+     *
+     * sw.js precaches the page, its scripts, data and vendor libraries, so everything
+     * but the shop links works without a connection. While offline a banner says so
+     * and shop links are held back instead of opening a tab that can't load. When a
+     * deploy installs a new service worker, the visitor is offered a reload rather
+     * than mixing old and new code.
+     */
+    const offlineBanner = document.getElementById('offline-banner');
+    function updateOnlineState() {
+        const offline = navigator.onLine === false;
+        if (offlineBanner) offlineBanner.hidden = !offline;
+        document.body.classList.toggle('offline', offline);
+    }
+    window.addEventListener('online', updateOnlineState);
+    window.addEventListener('offline', updateOnlineState);
+    updateOnlineState();
+    // Capture phase, so a held-back click isn't counted as a shop click either
+    document.addEventListener('click', (e) => {
+        const link = e.target instanceof Element ? e.target.closest('a[rel~="sponsored"]') : null;
+        if (!link || navigator.onLine !== false) return;
+        e.preventDefault();
+        e.stopPropagation();
+        updateOnlineState();
+    }, true);
+    (function initServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        const updateBanner = document.getElementById('update-banner');
+        const reloadBtn = document.getElementById('update-reload-btn');
+        // Only a replaced worker means new code; the first install changes nothing on screen
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (hadController && updateBanner) updateBanner.hidden = false;
+        });
+        if (reloadBtn) reloadBtn.addEventListener('click', () => location.reload());
+        navigator.serviceWorker.register('sw.js').catch(e => console.error('Service worker registration failed', e));
+    })();
+
+    /**
+     * INSIGHTS
+     *
+     * The visitor's own dashboard: activity per day as a line chart, Shop Now clicks
+     * and favorites per category as bar charts, the quiz answers given, progress
+     * towards each achievement and the categories not explored yet, each a link that
+     * applies that filter. Every interaction counts towards the day's activity (a
+     * quick run of the same one counts once) and explores the category of the
+     * product it concerns (js/insights.js). Charts take the accent color and the
+     * theme's text color and are recolored in place when either changes. Without
+     * Chart.js (the CDN can fail) the charts are tables instead.
+     */
+    const insightsSection = document.getElementById('insights-section');
+    const insightsActivity = document.getElementById('insights-activity');
+    const insightsClicks = document.getElementById('insights-clicks');
+    const insightsFavorites = document.getElementById('insights-favorites');
+    const insightsQuiz = document.getElementById('insights-quiz');
+    const insightsAchievements = document.getElementById('insights-achievements');
+    const insightsUnexplored = document.getElementById('insights-unexplored');
+    // View element id -> the chart drawn there
+    const insightCharts = {};
+    // Pending redraw of the dashboard after interactions, and of the charts after
+    // the theme or the accent color changed
+    let insightUpdateTimer = null;
+    let insightRestyleTimer = null;
+    // Event name and time of the last interaction counted as activity
+    let lastActivity = { name: null, at: 0 };
+    // Repeats of an event this close together (ms) count as one interaction, so
+    // dragging the accent color picker is not hundreds of them
+    const ACTIVITY_BURST = 2000;
+    const insightDayFormat = new Intl.DateTimeFormat(locale, { month: 'short', day: 'numeric' });
+    function getActivityDays() {
+        return VRInsights.prune(store.get('activityDays', {}), Date.now());
+    }
+    // Category an event is about: its own, or that of its product
+    function eventCategory(payload) {
+        if (!payload) return null;
+        if (payload.category) return payload.category;
+        const product = payload.productId ? productsById[payload.productId] : null;
+        return product ? product.category : null;
+    }
+    function productCategory(id) {
+        return productsById[id] ? productsById[id].category : null;
+    }
+    // Colors for the charts from the accent color and the current theme
+    function insightChartColors() {
+        const accent = getComputedStyle(document.documentElement).getPropertyValue('--accent-color').trim() || '#0077ff';
+        const light = document.body.classList.contains('light-theme');
+        return {
+            accent: accent,
+            fill: /^#[0-9a-f]{6}$/i.test(accent) ? accent + '40' : accent,
+            text: light ? '#1e2228' : '#f5f5f5',
+            grid: light ? 'rgba(0, 0, 0, 0.1)' : 'rgba(255, 255, 255, 0.1)'
+        };
+    }
+    function insightChartConfig(view, colors) {
+        const line = view.type === 'line';
+        const axis = { ticks: { color: colors.text }, grid: { color: colors.grid } };
+        return {
+            type: view.type,
+            data: {
+                labels: view.rows.map(row => row[0]),
+                datasets: [
+                    {
+                        label: view.valueHeader,
+                        data: view.rows.map(row => row[1]),
+                        borderColor: colors.accent,
+                        backgroundColor: line ? colors.fill : colors.accent,
+                        borderWidth: line ? 2 : 1,
+                        fill: line,
+                        tension: 0.3
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { display: false } },
+                scales: {
+                    x: axis,
+                    y: Object.assign({ beginAtZero: true }, axis, { ticks: { color: colors.text, precision: 0 } })
+                }
+            }
+        };
+    }
+    // The same figures as a table, for when there is no chart
+    function buildInsightTable(view) {
+        const table = document.createElement('table');
+        table.className = 'insights-table';
+        const caption = document.createElement('caption');
+        caption.textContent = view.caption;
+        table.appendChild(caption);
+        const head = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        [view.labelHeader, view.valueHeader].forEach(text => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = text;
+            headRow.appendChild(th);
+        });
+        head.appendChild(headRow);
+        table.appendChild(head);
+        const body = document.createElement('tbody');
+        (view.tableRows || view.rows).forEach(([label, value]) => {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = label;
+            const td = document.createElement('td');
+            td.textContent = t.number(value);
+            tr.appendChild(th);
+            tr.appendChild(td);
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+        return table;
+    }
+    // Draw a view as a chart, updating the figures and colors of the one already
+    // there, or as a table without Chart.js. `view` holds the type, the
+    // [label, value] rows, headers and a caption, and the text for no data.
+    function renderInsightView(element, view) {
+        if (!element) return;
+        const drawn = insightCharts[element.id];
+        const colors = insightChartColors();
+        if (drawn && view.rows.length > 0) {
+            const config = insightChartConfig(view, colors);
+            drawn.data.labels = config.data.labels;
+            Object.assign(drawn.data.datasets[0], config.data.datasets[0]);
+            drawn.options = config.options;
+            drawn.update();
+            return;
+        }
+        if (drawn) {
+            drawn.destroy();
+            delete insightCharts[element.id];
+        }
+        element.innerHTML = '';
+        if (view.rows.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'insights-empty';
+            empty.textContent = view.empty;
+            element.appendChild(empty);
+            return;
+        }
+        if (typeof Chart !== 'undefined') {
+            const container = document.createElement('div');
+            container.className = 'chart-container';
+            const canvas = document.createElement('canvas');
+            canvas.setAttribute('role', 'img');
+            canvas.setAttribute('aria-label', view.caption);
+            container.appendChild(canvas);
+            element.appendChild(container);
+            try {
+                insightCharts[element.id] = new Chart(canvas, insightChartConfig(view, colors));
+                return;
+            } catch (e) {
+                console.error('Chart could not be drawn, showing a table instead', e);
+                element.innerHTML = '';
+            }
+        }
+        element.appendChild(buildInsightTable(view));
+    }
+    function categoryRows(counts) {
+        return VRInsights.countByCategory(counts, productCategory).map(entry => [categoryLabel(entry.category), entry.count]);
+    }
+    function renderInsightCharts() {
+        const series = VRInsights.dailySeries(getActivityDays());
+        const activityRows = series.some(entry => entry.count > 0)
+            ? series.map(entry => [insightDayFormat.format(new Date(entry.day + 'T00:00:00')), entry.count])
+            : [];
+        renderInsightView(insightsActivity, {
+            type: 'line',
+            rows: activityRows,
+            // Only the active days in the table; the chart shows the quiet ones as well
+            tableRows: activityRows.filter(row => row[1] > 0),
+            caption: t('insights.activityCaption'),
+            labelHeader: t('insights.day'),
+            valueHeader: t('insights.interactions'),
+            empty: t('insights.activityEmpty')
+        });
+        renderInsightView(insightsClicks, {
+            type: 'bar',
+            rows: categoryRows(getTrendingCounts()),
+            caption: t('trending.chartLabel'),
+            labelHeader: t('insights.category'),
+            valueHeader: t('insights.clicks'),
+            empty: t('insights.clicksEmpty')
+        });
+        const favorites = {};
+        getFavorites().forEach(id => {
+            favorites[id] = 1;
+        });
+        renderInsightView(insightsFavorites, {
+            type: 'bar',
+            rows: categoryRows(favorites),
+            caption: t('insights.favoritesCaption'),
+            labelHeader: t('insights.category'),
+            valueHeader: t('insights.favoriteCount'),
+            empty: t('insights.favoritesEmpty')
+        });
+    }
+    // The answers from the last quiz taken, in question order
+    function renderInsightQuiz() {
+        if (!insightsQuiz) return;
+        insightsQuiz.innerHTML = '';
+        const answers = store.get('quizAnswers', {});
+        const given = quiz ? quiz.questions.filter(question => answers[question.id]) : [];
+        if (given.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'insights-empty';
+            empty.textContent = t('insights.quizEmpty');
+            insightsQuiz.appendChild(empty);
+            if (quiz && startQuizBtn) {
+                const takeBtn = document.createElement('button');
+                takeBtn.type = 'button';
+                takeBtn.className = 'btn';
+                takeBtn.textContent = t('quiz.start');
+                takeBtn.addEventListener('click', () => startQuizBtn.click());
+                insightsQuiz.appendChild(takeBtn);
+            }
+            return;
+        }
+        const list = document.createElement('dl');
+        list.className = 'insights-quiz';
+        given.forEach(question => {
+            const answer = question.answers.find(entry => entry.id === answers[question.id]);
+            const dt = document.createElement('dt');
+            dt.textContent = question.question;
+            const dd = document.createElement('dd');
+            dd.textContent = answer ? answer.label : answers[question.id];
+            list.appendChild(dt);
+            list.appendChild(dd);
+        });
+        insightsQuiz.appendChild(list);
+    }
+    // A bar per achievement towards its next tier
+    function renderInsightAchievements() {
+        if (!insightsAchievements) return;
+        insightsAchievements.innerHTML = '';
+        VRGamification.progress(rules, getStats(), getUnlockedAchievements()).forEach(entry => {
+            const def = rules.achievements.find(achievement => achievement.key === entry.key);
+            const item = document.createElement('li');
+            if (entry.complete) item.classList.add('complete');
+            const title = document.createElement('span');
+            title.className = 'insights-progress-title';
+            title.id = 'insights-progress-' + entry.key;
+            title.textContent = def.icon + ' ' + def.title;
+            const bar = document.createElement('progress');
+            bar.max = entry.target;
+            bar.value = entry.value;
+            bar.setAttribute('aria-labelledby', title.id);
+            const detail = document.createElement('span');
+            detail.className = 'insights-progress-detail';
+            const goal = VRGamification.describe(def, entry.tierIndex);
+            detail.textContent = entry.complete
+                ? t('insights.progressDone', { goal: goal })
+                : t('insights.progress', { value: entry.value, target: entry.target, goal: goal });
+            item.appendChild(title);
+            item.appendChild(bar);
+            item.appendChild(detail);
+            insightsAchievements.appendChild(item);
+        });
+    }
+    // Categories not explored yet, each applying its filter
+    function renderInsightUnexplored() {
+        if (!insightsUnexplored) return;
+        insightsUnexplored.innerHTML = '';
+        const categories = VRInsights.unexplored(Object.keys(categoryLabels), store.get('exploredCategories', []));
+        if (categories.length === 0) {
+            const done = document.createElement('p');
+            done.className = 'insights-empty';
+            done.textContent = t('insights.unexploredNone');
+            insightsUnexplored.appendChild(done);
+            return;
+        }
+        categories.forEach(category => {
+            const link = document.createElement('a');
+            link.className = 'insights-category';
+            link.href = '?category=' + encodeURIComponent(category);
+            link.textContent = categoryLabels[category];
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                // A category replaces the other filters and any search, so it shows in full
+                setFilters({ query: '', category: category, compat: null, price: null });
+                track('category_changed', { category: category });
+                const section = accessoriesGrid ? accessoriesGrid.closest('section') : null;
+                if (section) section.scrollIntoView();
+            });
+            insightsUnexplored.appendChild(link);
+        });
+    }
+    function updateInsights() {
+        if (!insightsSection) return;
+        renderInsightCharts();
+        renderInsightQuiz();
+        renderInsightAchievements();
+        renderInsightUnexplored();
+    }
+    // Redraw the dashboard once a run of interactions settles, not for each one
+    function scheduleInsights() {
+        clearTimeout(insightUpdateTimer);
+        insightUpdateTimer = setTimeout(updateInsights, 100);
+    }
+    events.on('quiz_completed', (payload) => {
+        if (payload.answers) store.set('quizAnswers', payload.answers);
+    });
+    // Count the interaction for today, once per burst, and explore its category
+    events.on('*', (payload, name) => {
+        if (name === 'achievement_unlocked') return;
+        const now = Date.now();
+        const repeat = name === lastActivity.name && now - lastActivity.at < ACTIVITY_BURST;
+        lastActivity = { name: name, at: now };
+        // The color picker restyles the charts itself, see below
+        if (repeat && name === 'color_changed') return;
+        if (!repeat) store.set('activityDays', VRInsights.recordActivity(store.get('activityDays', {}), now));
+        const category = eventCategory(payload);
+        const explored = store.get('exploredCategories', []);
+        if (category && !explored.includes(category)) store.set('exploredCategories', explored.concat([category]));
+        scheduleInsights();
+    });
+    // Removing a favorite is no tracked event, so follow the lists themselves
+    document.addEventListener('vrstore:favorite-changed', scheduleInsights);
+    // Recolor the charts when the theme or the accent color changes, once the
+    // changes settle: the color picker changes it on every step of a drag
+    if (typeof MutationObserver !== 'undefined') {
+        const restyle = new MutationObserver(() => {
+            clearTimeout(insightRestyleTimer);
+            insightRestyleTimer = setTimeout(renderInsightCharts, 100);
+        });
+        restyle.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+        restyle.observe(document.documentElement, { attributes: true, attributeFilter: ['style'] });
+    }
+    updateInsights();
+
+    /**
+     * RECENTLY VIEWED & CONTINUE WHERE YOU LEFT OFF
+     *
+     * Quick View opens, Shop Now clicks and compare additions are kept with their
+     * time (js/recent.js) and shown as a "Recently viewed" strip for each day, where
+     * a product can be opened again or removed, and the whole history cleared. The
+     * filters and sort are remembered as they change. On the first page of a new
+     * visit a banner offers to reopen the last product or bring those filters back,
+     * unless the link that was opened asks for a view of its own.
+     */
+    const recentSection = document.getElementById('recent-section');
+    const recentDays = document.getElementById('recent-days');
+    const recentClearBtn = document.getElementById('recent-clear-btn');
+    const recentStatus = document.getElementById('recent-status');
+    const recentActionKeys = { view: 'recent.viewed', shop: 'recent.shopped', compare: 'recent.compared' };
+    const recentTimeFormat = new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit' });
+    const recentDayFormat = new Intl.DateTimeFormat(locale, { weekday: 'long', month: 'long', day: 'numeric' });
+    function getRecentlyViewed() {
+        return VRRecent.prune(store.get('recentlyViewed', []), Date.now());
+    }
+    function saveRecentlyViewed(entries) {
+        store.set('recentlyViewed', entries);
+        updateRecentlyViewed();
+    }
+    function recordRecent(productId, action) {
+        if (!productId) return;
+        saveRecentlyViewed(VRRecent.record(getRecentlyViewed(), productId, action, Date.now()));
+    }
+    function setRecentStatus(message) {
+        if (recentStatus) recentStatus.textContent = message;
+    }
+    // "Today", "Yesterday" or the date
+    function recentDayLabel(day) {
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        if (day === VRInsights.dayKey(Date.now())) return t('recent.today');
+        if (day === VRInsights.dayKey(yesterday.getTime())) return t('recent.yesterday');
+        const [year, month, date] = day.split('-').map(Number);
+        return recentDayFormat.format(new Date(year, month - 1, date));
+    }
+    // One product in the strip: opens Quick View, with what was done and when
+    function buildRecentItem(item) {
+        const product = productsById[item.id];
+        const li = document.createElement('li');
+        li.className = 'recent-item';
+        const openBtn = document.createElement('button');
+        openBtn.type = 'button';
+        openBtn.className = 'recent-open';
+        openBtn.dataset.id = item.id;
+        if (product.image) {
+            const img = document.createElement('img');
+            img.className = 'recent-image';
+            img.src = product.image;
+            img.alt = '';
+            img.loading = 'lazy';
+            openBtn.appendChild(img);
+        }
+        const name = document.createElement('span');
+        name.className = 'recent-name';
+        name.textContent = product.name;
+        const meta = document.createElement('span');
+        meta.className = 'recent-meta';
+        meta.textContent = item.actions.map(action => t(recentActionKeys[action])).join(', ') +
+            ' · ' + recentTimeFormat.format(new Date(item.at));
+        openBtn.appendChild(name);
+        openBtn.appendChild(meta);
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'recent-remove';
+        removeBtn.dataset.id = item.id;
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', t('recent.remove', { name: product.name }));
+        li.appendChild(openBtn);
+        li.appendChild(removeBtn);
+        return li;
+    }
+    function updateRecentlyViewed() {
+        if (!recentSection || !recentDays) return;
+        // Redrawing replaces the buttons; the focus stays on the same product's
+        const focused = recentDays.contains(document.activeElement) ? document.activeElement : null;
+        // Products no longer in the catalog stay stored but aren't shown
+        const entries = getRecentlyViewed().filter(entry => cardsById.has(entry.id));
+        recentSection.hidden = entries.length === 0;
+        recentDays.innerHTML = '';
+        VRRecent.groupByDay(entries).forEach(group => {
+            const day = document.createElement('div');
+            day.className = 'recent-day';
+            const heading = document.createElement('h3');
+            heading.id = 'recent-day-' + group.day;
+            heading.textContent = recentDayLabel(group.day);
+            const strip = document.createElement('ul');
+            strip.className = 'recent-strip';
+            strip.setAttribute('aria-labelledby', heading.id);
+            group.items.forEach(item => strip.appendChild(buildRecentItem(item)));
+            day.appendChild(heading);
+            day.appendChild(strip);
+            recentDays.appendChild(day);
+        });
+        if (focused) {
+            const same = Array.from(recentDays.querySelectorAll('button'))
+                .find(btn => btn.className === focused.className && btn.dataset.id === focused.dataset.id);
+            if (same) same.focus();
+        }
+    }
+    if (recentDays) {
+        recentDays.addEventListener('click', (e) => {
+            const control = e.target.closest('.recent-open, .recent-remove');
+            if (!control) return;
+            const id = control.dataset.id;
+            if (control.classList.contains('recent-remove')) {
+                const removes = Array.from(recentDays.querySelectorAll('.recent-remove'));
+                const following = removes.slice(removes.indexOf(control) + 1).find(btn => btn.dataset.id !== id);
+                const nextId = following ? following.dataset.id : null;
+                saveRecentlyViewed(VRRecent.remove(store.get('recentlyViewed', []), id));
+                setRecentStatus(t('recent.removed', { name: productsById[id].name }));
+                // Keep the focus in the strip: the next product's remove button, or Clear history
+                const next = nextId ? Array.from(recentDays.querySelectorAll('.recent-remove')).find(btn => btn.dataset.id === nextId) : null;
+                if (next) {
+                    next.focus();
+                } else if (recentClearBtn && !recentSection.hidden) {
+                    recentClearBtn.focus();
+                }
+                return;
+            }
+            openQuickView(cardsById.get(id));
+        });
+    }
+    // Clearing asks for a second press
+    function resetRecentClear() {
+        if (!recentClearBtn) return;
+        delete recentClearBtn.dataset.confirm;
+        recentClearBtn.textContent = t('recent.clear');
+    }
+    if (recentClearBtn) {
+        recentClearBtn.addEventListener('click', () => {
+            if (!recentClearBtn.dataset.confirm) {
+                recentClearBtn.dataset.confirm = 'true';
+                recentClearBtn.textContent = t('recent.confirmClear');
+                return;
+            }
+            resetRecentClear();
+            saveRecentlyViewed([]);
+            setRecentStatus(t('recent.cleared'));
+        });
+        recentClearBtn.addEventListener('blur', resetRecentClear);
+    }
+    events.on('quick_view', (payload) => recordRecent(payload.productId, 'view'));
+    events.on('shop_click', (payload) => recordRecent(payload.productId, 'shop'));
+    events.on('compare_added', (payload) => recordRecent(payload.productId, 'compare'));
+    updateRecentlyViewed();
+
+    // The filters and sort as they change, for the next visit
+    function isDefaultFilters(filters) {
+        return !filters.query && (!filters.sort || filters.sort === 'default') &&
+            facetDefs.every(def => !filters[def.key] || filters[def.key].length === 0);
+    }
+    // e.g. "“strap”, Comfort & Straps · sorted by Popularity"
+    function describeFilters(filters) {
+        const parts = [];
+        if (filters.query) parts.push(t('resume.query', { query: filters.query }));
+        facetDefs.forEach(def => {
+            const labels = new Map(def.values);
+            [].concat(filters[def.key] || []).forEach(value => {
+                if (labels.has(value)) parts.push(labels.get(value));
+            });
+        });
+        const sortOption = sortFilter && filters.sort !== 'default'
+            ? Array.from(sortFilter.options).find(option => option.value === filters.sort)
+            : null;
+        const sort = sortOption ? t('resume.sortedBy', { sort: sortOption.textContent.trim() }) : '';
+        return [parts.join(', '), sort].filter(Boolean).join(' · ');
+    }
+    document.addEventListener('vrstore:filters-changed', (e) => store.set('lastFilters', e.detail));
+    (function initResumeBanner() {
+        const banner = document.getElementById('resume-banner');
+        const productBtn = document.getElementById('resume-product-btn');
+        const filtersBtn = document.getElementById('resume-filters-btn');
+        const dismissBtn = document.getElementById('resume-dismiss-btn');
+        // Only on the first page of a visit (reloads keep the session)
+        const returning = !sessionStore.get('visitStarted', false);
+        sessionStore.set('visitStarted', true);
+        if (!banner || !returning || location.search || location.hash) return;
+        const last = VRRecent.latest(getRecentlyViewed(), entry => cardsById.has(entry.id));
+        const filters = store.get('lastFilters', null);
+        const filtersText = filters && !isDefaultFilters(filters) ? describeFilters(filters) : '';
+        if (!last && !filtersText) return;
+        function hideBanner() {
+            banner.hidden = true;
+        }
+        if (productBtn && last) {
+            productBtn.hidden = false;
+            productBtn.textContent = t('resume.product', { name: productsById[last.id].name });
+            productBtn.addEventListener('click', () => {
+                hideBanner();
+                openQuickView(cardsById.get(last.id));
+            });
+        }
+        if (filtersBtn && filtersText) {
+            filtersBtn.hidden = false;
+            filtersBtn.textContent = t('resume.filters', { filters: filtersText });
+            filtersBtn.addEventListener('click', () => {
+                hideBanner();
+                setFilters(filters);
+                // The banner is gone; continue at the first matching accessory
+                if (matchingCards.length > 0) {
+                    setGridTabStop(matchingCards[0]);
+                    matchingCards[0].focus();
+                }
+            });
+        }
+        if (dismissBtn) dismissBtn.addEventListener('click', hideBanner);
+        banner.hidden = false;
+    })();
+
+    /**
+     * VRSTORE API
+     *
+     * `window.VRStore` lets other scripts on the page (widgets, extensions, tests) read
+     * and change favorites, compare and the filters, and open Quick View, through the
+     * same functions the page's own controls use. Changes, whoever makes them, are
+     * dispatched on document as "vrstore:<name>" events with the details in
+     * `event.detail`. The API exists once the catalog has loaded, which
+     * "vrstore:ready" announces. Product ids the catalog doesn't know are ignored.
+     */
+    function knownProduct(id) {
+        return typeof id === 'string' && Object.prototype.hasOwnProperty.call(productsById, id);
+    }
+    // The search, sort and selected facet values, e.g. { query: '', sort: 'default', category: ['Audio'], compat: [], price: [] }
+    function getFilters() {
+        const filters = {
+            query: searchInput ? searchInput.value.trim() : '',
+            sort: sortFilter ? sortFilter.value : 'default'
+        };
+        facetDefs.forEach(def => {
+            filters[def.key] = Array.from(activeFacets[def.key]);
+        });
+        return filters;
+    }
+    // Change the given filters only. A facet takes one value or a list (null or []
+    // clears it); values it doesn't offer are dropped, as they are from the URL.
+    function setFilters(changes) {
+        const next = changes || {};
+        if (typeof next.query === 'string' && searchInput) searchInput.value = next.query;
+        if (typeof next.sort === 'string') setSelectValue(sortFilter, next.sort);
+        facetDefs.forEach(def => {
+            if (next[def.key] === undefined) return;
+            const known = def.values.map(([value]) => value);
+            const values = next[def.key] === null ? [] : [].concat(next[def.key]);
+            activeFacets[def.key] = new Set(values.filter(value => known.includes(value)));
+        });
+        filterCards();
+        syncUrlState(true);
+        return getFilters();
+    }
+    function resetFilters() {
+        const cleared = { query: '', sort: 'default' };
+        facetDefs.forEach(def => {
+            cleared[def.key] = null;
+        });
+        return setFilters(cleared);
+    }
+    function isFavorite(id) {
+        return getFavorites().includes(id);
+    }
+    // On the given list, or the one shown in the favorites section
+    function addFavorite(id, listId) {
+        const lists = getWishlists();
+        const list = listId ? lists.find(entry => entry.id === listId) : getActiveWishlist(lists);
+        if (!knownProduct(id) || !list) return false;
+        if (!list.items.some(item => item.id === id)) toggleWishlistItem(list.id, id);
+        return true;
+    }
+    // Off the given list, or off every list
+    function removeFavorite(id, listId) {
+        VRWishlists.listsWith(getWishlists(), id)
+            .filter(onList => !listId || onList === listId)
+            .forEach(onList => toggleWishlistItem(onList, id));
+        return isFavorite(id);
+    }
+    function toggleFavoriteFor(id, listId) {
+        const onList = listId ? VRWishlists.listsWith(getWishlists(), id).includes(listId) : isFavorite(id);
+        return onList ? removeFavorite(id, listId) : addFavorite(id, listId);
+    }
+    function isCompared(id) {
+        return getCompareList().includes(id);
+    }
+    // Adding to a full comparison drops the product added first, as the checkboxes do
+    function setCompared(id, compared) {
+        if (knownProduct(id) && isCompared(id) !== compared) toggleCompare(id);
+        return isCompared(id);
+    }
+    function clearCompare() {
+        saveCompareList([]);
+        updateCompareIcons();
+        updateCompareBar();
+    }
+    function openQuickViewFor(id) {
+        if (!knownProduct(id)) return false;
+        openQuickView(cardsById.get(id));
+        return true;
+    }
+    window.VRStore = Object.freeze({
+        version: 1,
+        favorites: Object.freeze({
+            list: () => getFavorites(),
+            has: isFavorite,
+            lists: () => getWishlists().map(list => ({ id: list.id, name: list.name, productIds: list.items.map(item => item.id) })),
+            add: addFavorite,
+            remove: removeFavorite,
+            toggle: toggleFavoriteFor
+        }),
+        compare: Object.freeze({
+            max: maxCompareItems,
+            list: () => getCompareList(),
+            has: isCompared,
+            add: id => setCompared(id, true),
+            remove: id => setCompared(id, false),
+            toggle: id => setCompared(id, !isCompared(id)),
+            clear: clearCompare,
+            open: openCompareModal
+        }),
+        filters: Object.freeze({
+            get: getFilters,
+            set: setFilters,
+            reset: resetFilters
+        }),
+        quickView: Object.freeze({
+            open: openQuickViewFor,
+            close: () => {
+                if (modals.isOpen(modal)) closeQuickView();
+            },
+            current: () => quickViewProductId
+        })
+    });
+    events.on('achievement_unlocked', (payload) => {
+        const achievement = (rules.achievements || []).find(entry => entry.key === payload.achievement);
+        emit('achievement-unlocked', {
+            achievement: payload.achievement,
+            tier: payload.tier,
+            title: achievement ? achievement.title : payload.achievement
+        });
+    });
+    emit('ready', { version: window.VRStore.version });
+});
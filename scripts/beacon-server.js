@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/*
+ * Local stand-in for the analytics endpoint, for testing the beacon sink:
+ *
+ *     node scripts/beacon-server.js [port]
+ *
+ * Serves the site from the repository root and logs every batch of events
+ * POSTed to /events. Point the page at it with
+ * <meta name="analytics-endpoint" content="/events"/> in index.html.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const port = Number(process.argv[2]) || 8080;
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml'
+};
+
+function logBatch(body) {
+    let batch;
+    try {
+        batch = JSON.parse(body);
+    } catch (e) {
+        console.error(`Malformed batch: ${e.message}`);
+        return false;
+    }
+    const list = Array.isArray(batch.events) ? batch.events : [];
+    console.log(`${new Date().toISOString()} received ${list.length} event(s)`);
+    list.forEach(event => console.log(`  ${event.name} ${JSON.stringify(event.payload)}`));
+    return true;
+}
+
+function serveFile(req, res) {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const file = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+    if (!file.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+http.createServer((req, res) => {
+    if (req.method === 'POST' && req.url === '/events') {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            res.writeHead(logBatch(body) ? 204 : 400);
+            res.end();
+        });
+        return;
+    }
+    if (req.method === 'GET') {
+        serveFile(req, res);
+        return;
+    }
+    res.writeHead(405);
+    res.end();
+}).listen(port, () => {
+    console.log(`Serving the site and logging events on http://localhost:${port}/`);
+});
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/*
+ * Behaviour checks for the codes the site reads from links, run under Node:
+ *
+ *     node scripts/check-share-codes.js
+ *
+ * Anyone can craft a link, so a malformed code has to come back as "not a code"
+ * (null) rather than throw: the page reads these while it is being set up, and
+ * an exception there would stop everything after it. Each check decodes a good
+ * code and a few broken ones.
+ * Exits with status 1 when any check fails.
+ */
+const assert = require('assert');
+const VRProfile = require('../js/profile.js');
+const VRWishlists = require('../js/wishlists.js');
+const VRKits = require('../js/kits.js');
+
+let failed = 0;
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`ok    ${name}`);
+    } catch (e) {
+        failed++;
+        console.error(`FAIL  ${name}: ${e.message}`);
+    }
+}
+
+// Escapes decodeURIComponent rejects
+const BROKEN_ESCAPES = ['%', '%E0%A4%A', '%zz'];
+
+check('transfer code round trip', () => {
+    const code = VRProfile.encodeTransferCode(['valve-index', 'kiwi-k4-mini']);
+    assert.deepStrictEqual(VRProfile.decodeTransferCode(code), ['valve-index', 'kiwi-k4-mini']);
+    assert.deepStrictEqual(VRProfile.decodeTransferCode('https://example.com/#transfer=' + encodeURIComponent(code)),
+        ['valve-index', 'kiwi-k4-mini']);
+});
+check('malformed transfer links are not codes', () => {
+    BROKEN_ESCAPES.forEach(escape => {
+        assert.strictEqual(VRProfile.decodeTransferCode('https://example.com/#transfer=' + escape), null, escape);
+    });
+    assert.strictEqual(VRProfile.decodeTransferCode('VR1:Not An Id'), null);
+});
+check('wishlist share code round trip', () => {
+    const list = { id: 'gift', name: 'Gift', items: [{ id: 'valve-index', note: 'red', qty: 2 }] };
+    const shared = VRWishlists.decodeShareCode('https://example.com/#wishlist=' + VRWishlists.encodeShareCode(list));
+    assert.strictEqual(shared.name, 'Gift');
+    assert.deepStrictEqual(shared.items.map(item => item.id), ['valve-index']);
+});
+check('malformed wishlist links are not codes', () => {
+    BROKEN_ESCAPES.forEach(escape => {
+        assert.strictEqual(VRWishlists.decodeShareCode('https://example.com/#wishlist=' + escape), null, escape);
+    });
+});
+check('kit share code round trip', () => {
+    const rules = { slots: [{ id: 'strap' }], conflicts: [] };
+    const kit = VRKits.createKit('meta-quest-3');
+    kit.slots.strap = ['kiwi-k4-mini'];
+    const shared = VRKits.decodeKit(rules, 'https://example.com/#kit=' + VRKits.encodeKit(rules, kit));
+    assert.strictEqual(shared.headset, 'meta-quest-3');
+    assert.deepStrictEqual(shared.slots.strap, ['kiwi-k4-mini']);
+});
+check('malformed kit links are not codes', () => {
+    BROKEN_ESCAPES.forEach(escape => {
+        assert.strictEqual(VRKits.decodeKit({ slots: [] }, 'https://example.com/#kit=' + escape), null, escape);
+    });
+});
+
+if (failed > 0) {
+    console.error(`${failed} check(s) failed`);
+    process.exit(1);
+}
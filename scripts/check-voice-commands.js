@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/*
+ * Behaviour checks for the voice command parser (js/voice.js), run under Node:
+ *
+ *     node scripts/check-voice-commands.js
+ *
+ * Each locale's grammar is tried with typed sentences against the real catalog
+ * and category labels, looking products up the way script.js does. Sentences
+ * that aren't commands have to come back as a plain search.
+ * Exits with status 1 when any check fails.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const VRVoice = require('../js/voice.js');
+const VRSearch = require('../js/search.js');
+
+const ROOT = path.join(__dirname, '..');
+const catalog = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'products.json'), 'utf8')).products;
+const CATEGORIES = ['Comfort', 'Audio', 'Battery', 'Haptics', 'Controllers', 'Trackers', 'Cases', 'Cables', 'Fitness', 'Misc'];
+
+// The context script.js passes: category labels in the locale, and the best
+// search result for a spoken product name
+const index = VRSearch.createIndex(catalog);
+function findProduct(phrase) {
+    let results = VRSearch.search(index, phrase);
+    if (results.length === 0) {
+        const suggestion = VRSearch.suggest(index, phrase, 1)[0];
+        if (suggestion) results = VRSearch.search(index, suggestion);
+    }
+    return results.length > 0 ? results[0].id : null;
+}
+function contextFor(locale) {
+    const messages = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'i18n', locale + '.json'), 'utf8'));
+    const categories = {};
+    CATEGORIES.forEach(category => {
+        categories[category] = messages['category.' + category] || category;
+    });
+    return { locale: locale, categories: categories, findProduct: findProduct };
+}
+
+let failed = 0;
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`ok    ${name}`);
+    } catch (e) {
+        failed++;
+        console.error(`FAIL  ${name}: ${e.message}`);
+    }
+}
+
+// Sentence -> the command it has to be read as, per locale
+const SENTENCES = {
+    en: [
+        ['show me comfort accessories', { type: 'category', category: 'Comfort' }],
+        ['Show comfort accessories.', { type: 'category', category: 'Comfort' }],
+        ['show me everything', { type: 'category', category: null }],
+        ['sort by popularity', { type: 'sort', sort: 'popularity' }],
+        ['please sort them by name', { type: 'sort', sort: 'alphabetical' }],
+        ['compare Woojer and bHaptics', { type: 'compare', productIds: ['woojer-vest-3', 'bhaptics-tactsuit-x16'], missing: [] }],
+        ['favorite the Syntech cable', { type: 'favorite', productId: 'syntech-16ft-link-cable' }],
+        ['start the quiz', { type: 'quiz' }],
+        ['surprise me', { type: 'surprise' }],
+        ['wireless earbuds', { type: 'search', query: 'wireless earbuds' }]
+    ],
+    de: [
+        ['zeig mir Komfort-Zubehör', { type: 'category', category: 'Comfort' }],
+        ['zeige alles', { type: 'category', category: null }],
+        ['sortiere nach Beliebtheit', { type: 'sort', sort: 'popularity' }],
+        ['vergleiche Woojer und bHaptics', { type: 'compare', productIds: ['woojer-vest-3', 'bhaptics-tactsuit-x16'], missing: [] }],
+        ['merke das Syntech Kabel', { type: 'favorite', productId: 'syntech-16ft-link-cable' }],
+        ['starte das Quiz', { type: 'quiz' }],
+        ['überrasch mich', { type: 'surprise' }],
+        ['kabellose Ohrhörer', { type: 'search', query: 'kabellose Ohrhörer' }]
+    ]
+};
+
+Object.keys(SENTENCES).forEach(locale => {
+    const context = contextFor(locale);
+    SENTENCES[locale].forEach(([sentence, expected]) => {
+        check(`${locale}: "${sentence}"`, () => {
+            assert.deepStrictEqual(VRVoice.parseCommand(sentence, context), expected);
+        });
+    });
+});
+check('unknown locales use the English grammar', () => {
+    assert.deepStrictEqual(VRVoice.parseCommand('sort by popularity', { locale: 'xx' }), { type: 'sort', sort: 'popularity' });
+});
+
+if (failed > 0) {
+    console.error(`${failed} check(s) failed`);
+    process.exit(1);
+}
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/*
+ * Set the service worker's cache version from the files it precaches:
+ *
+ *     node scripts/stamp-service-worker.js [--check]
+ *
+ * Run it before each deploy. CACHE_VERSION in sw.js becomes a short hash of
+ * every local file in PRECACHE (and of the vendor URLs), so browsers pick up new
+ * files exactly when something changed. It also fails when a precached file is
+ * missing, or when a script in js/ or a data file isn't precached, since the
+ * page would then break offline.
+ * With --check nothing is written; it exits with status 1 if the version is stale.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+const swPath = path.join(ROOT, 'sw.js');
+const check = process.argv.includes('--check');
+
+const source = fs.readFileSync(swPath, 'utf8');
+const list = source.match(/const PRECACHE = \[([\s\S]*?)\];/);
+if (!list) {
+    console.error('sw.js has no PRECACHE list');
+    process.exit(1);
+}
+const entries = Array.from(list[1].matchAll(/'([^']+)'/g)).map(match => match[1]);
+const local = entries.filter(entry => !/^https?:/.test(entry) && entry !== './');
+
+const errors = [];
+local.forEach(entry => {
+    if (!fs.existsSync(path.join(ROOT, entry))) errors.push(`precached file ${entry} doesn't exist`);
+});
+// Everything the page loads from js/ and data/ has to be there offline
+function filesIn(dir) {
+    return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap(item =>
+        item.isDirectory() ? filesIn(dir + '/' + item.name) : [dir + '/' + item.name]);
+}
+filesIn('js').concat(filesIn('data')).forEach(file => {
+    if (!local.includes(file)) errors.push(`${file} is not in PRECACHE`);
+});
+if (errors.length > 0) {
+    errors.forEach(line => console.error('ERROR ' + line));
+    process.exit(1);
+}
+
+const hash = crypto.createHash('sha256');
+entries.forEach(entry => {
+    hash.update(entry);
+    if (local.includes(entry)) hash.update(fs.readFileSync(path.join(ROOT, entry)));
+});
+const version = hash.digest('hex').slice(0, 12);
+const current = (source.match(/const CACHE_VERSION = '([^']*)';/) || [])[1];
+if (current === version) {
+    console.log(`sw.js cache version ${version} is up to date`);
+} else if (check) {
+    console.error(`sw.js cache version ${current} is stale; run node scripts/stamp-service-worker.js`);
+    process.exitCode = 1;
+} else {
+    fs.writeFileSync(swPath, source.replace(/const CACHE_VERSION = '[^']*';/, `const CACHE_VERSION = '${version}';`));
+    console.log(`sw.js cache version ${current} -> ${version}`);
+}
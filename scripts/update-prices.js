@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/*
+ * Regenerate the price feed (data/prices.json) from a CSV of current prices:
+ *
+ *     node scripts/update-prices.js prices.csv [--date YYYY-MM-DD]
+ *
+ * Each CSV line is "id,price" (a header line and blank lines are skipped). For
+ * every product listed, the price becomes `current` and is recorded in its
+ * history under the date (today by default), replacing an entry already there
+ * for that date. Histories keep the last 12 entries. The feed's `generatedAt`
+ * is set to the date, which is what tells returning visitors there are new
+ * prices to compare against their watches.
+ * Exits with status 1 when a line can't be used; nothing is written then.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const feedPath = path.join(ROOT, 'data', 'prices.json');
+const catalogPath = path.join(ROOT, 'data', 'products.json');
+const HISTORY_LENGTH = 12;
+
+const args = process.argv.slice(2);
+const dateFlag = args.indexOf('--date');
+const date = dateFlag >= 0 ? args[dateFlag + 1] : new Date().toISOString().slice(0, 10);
+const csvPath = args.find((arg, index) => dateFlag < 0 || (index !== dateFlag && index !== dateFlag + 1));
+
+if (!csvPath) {
+    console.error('Usage: node scripts/update-prices.js prices.csv [--date YYYY-MM-DD]');
+    process.exit(1);
+}
+if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    console.error(`--date must be YYYY-MM-DD, got "${date}"`);
+    process.exit(1);
+}
+
+// Two-space JSON like the rest of data/, with each history point kept on one line
+function formatFeed(data) {
+    return JSON.stringify(data, null, 2).replace(
+        /\{\s+"date": ("[^"]*"),\s+"price": ([^\s}]+)\s+\}/g,
+        '{ "date": $1, "price": $2 }'
+    ) + '\n';
+}
+
+function readText(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        console.error(`Cannot read ${file}: ${e.message}`);
+        process.exit(1);
+    }
+}
+function readJson(file, fallback) {
+    if (fallback !== undefined && !fs.existsSync(file)) return fallback;
+    try {
+        return JSON.parse(readText(file));
+    } catch (e) {
+        console.error(`Cannot read ${file}: ${e.message}`);
+        process.exit(1);
+    }
+}
+
+const catalog = readJson(catalogPath);
+const ids = new Set((catalog.products || []).map(product => product.id));
+const feed = readJson(feedPath, { version: 1, currency: 'USD', store: 'us', prices: {} });
+
+const errors = [];
+let updated = 0;
+readText(csvPath).split(/\r?\n/).forEach((line, index) => {
+    const where = `${csvPath}:${index + 1}`;
+    const [id, priceText] = line.split(',').map(cell => (cell || '').trim());
+    if (!id || (index === 0 && id === 'id')) return;
+    const price = Number(priceText);
+    if (!ids.has(id)) {
+        errors.push(`${where}: unknown product "${id}"`);
+        return;
+    }
+    if (!priceText || !isFinite(price) || price <= 0) {
+        errors.push(`${where}: "${priceText}" is not a price`);
+        return;
+    }
+    const entry = feed.prices[id] || { current: price, history: [] };
+    const history = entry.history.filter(point => point.date !== date);
+    history.push({ date: date, price: price });
+    history.sort((a, b) => a.date.localeCompare(b.date));
+    // Only a price for the newest date is the current one
+    const latest = history[history.length - 1];
+    feed.prices[id] = { current: latest.price, history: history.slice(-HISTORY_LENGTH) };
+    updated++;
+});
+
+if (errors.length > 0) {
+    errors.forEach(line => console.error('ERROR ' + line));
+    console.error('Feed not written.');
+    process.exit(1);
+}
+if (!feed.generatedAt || date > feed.generatedAt) feed.generatedAt = date;
+fs.writeFileSync(feedPath, formatFeed(feed));
+const missing = [...ids].filter(id => !feed.prices[id]);
+console.log(`${updated} price(s) recorded for ${date}; ${missing.length} product(s) have no price`);
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/*
+ * Catalog integrity checks, run under Node:
+ *
+ *     node scripts/validate-catalog.js [path/to/products.json]
+ *
+ * Reports duplicate ids and names, storefronts without an affiliate tag,
+ * products that only have a search-link fallback, search phrases that don't
+ * match the product they belong to, malformed or shared ASINs, and ids in the
+ * catalog, quiz or price feed that point at products which don't exist, and
+ * kit builder slots that no product can fill. Also checks product translations
+ * and the message files in data/i18n against the English one.
+ * Exits with status 1 when any error is found; warnings alone exit 0.
+ */
+const fs = require('fs');
+const path = require('path');
+const VRLinks = require('../js/links.js');
+const VRI18n = require('../js/i18n.js');
+
+const ROOT = path.join(__dirname, '..');
+const catalogPath = process.argv[2] || path.join(ROOT, 'data', 'products.json');
+const quizPath = path.join(ROOT, 'data', 'quiz.json');
+const pricesPath = path.join(ROOT, 'data', 'prices.json');
+const kitsPath = path.join(ROOT, 'data', 'kits.json');
+const i18nDir = path.join(ROOT, 'data', 'i18n');
+
+const errors = [];
+const warnings = [];
+function error(where, message) {
+    errors.push(`${where}: ${message}`);
+}
+function warn(where, message) {
+    warnings.push(`${where}: ${message}`);
+}
+
+// Lowercased words of a phrase, minus filler that doesn't identify a product
+const FILLER = new Set(['vr', 'for', 'with', 'and', 'the', 'of', 'a']);
+function words(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(word => word && !FILLER.has(word));
+}
+
+// Whether a search phrase describes the named product: it has most of the
+// name's words, or its brand (the first word) and model numbers (words with a
+// digit) plus at least one more of them. Sharing a word such as "strap" with
+// the name is not enough.
+function phraseMatchesName(phrase, name) {
+    const nameWords = words(name);
+    if (nameWords.length === 0) return true;
+    const phraseWords = new Set(words(phrase));
+    const shared = nameWords.filter(word => phraseWords.has(word));
+    if (shared.length * 2 > nameWords.length) return true;
+    const identifying = [nameWords[0]].concat(nameWords.slice(1).filter(word => /\d/.test(word)));
+    return identifying.every(word => phraseWords.has(word)) && shared.length >= Math.min(2, nameWords.length);
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        console.error(`Cannot read ${file}: ${e.message}`);
+        process.exit(1);
+    }
+}
+
+const catalog = readJson(catalogPath);
+const products = Array.isArray(catalog.products) ? catalog.products : [];
+if (products.length === 0) error(catalogPath, 'no products found');
+
+// Storefront configuration
+Object.keys(VRLinks.STOREFRONTS).forEach(storeId => {
+    const store = VRLinks.STOREFRONTS[storeId];
+    if (store.tag) return;
+    if (storeId === VRLinks.DEFAULT_STORE) {
+        error(`storefront ${storeId}`, 'default storefront has no affiliate tag');
+    } else {
+        warn(`storefront ${storeId}`, 'no affiliate tag configured; links to this store earn nothing');
+    }
+});
+
+const ids = new Map();
+const names = new Map();
+const asins = new Map();
+products.forEach((product, index) => {
+    const where = product.id || `products[${index}]`;
+    ['id', 'name', 'category'].forEach(field => {
+        if (!product[field]) error(where, `missing "${field}"`);
+    });
+    if (!Array.isArray(product.features) || product.features.length === 0) warn(where, 'no feature bullets');
+    Object.keys(product.translations || {}).forEach(locale => {
+        const translation = product.translations[locale];
+        if (!VRI18n.LOCALES[locale]) error(where, `translation for unsupported locale "${locale}"`);
+        Object.keys(translation).forEach(field => {
+            if (!VRI18n.PRODUCT_FIELDS.includes(field)) error(where, `${locale} translation has unknown field "${field}"`);
+        });
+        if (translation.features !== undefined &&
+            (!Array.isArray(translation.features) || !translation.features.every(text => typeof text === 'string' && text))) {
+            error(where, `${locale} translation "features" must be a list of strings`);
+        }
+    });
+
+    if (product.id) {
+        if (ids.has(product.id)) error(where, `duplicate id (also products[${ids.get(product.id)}])`);
+        ids.set(product.id, index);
+    }
+    const nameKey = words(product.name).join(' ');
+    if (nameKey) {
+        if (names.has(nameKey)) error(where, `duplicate name "${product.name}" (also ${names.get(nameKey)})`);
+        names.set(nameKey, where);
+    }
+
+    const link = product.link;
+    if (!link || (!link.asin && !link.search && !link.asins)) {
+        error(where, 'no link data (needs "asin" or "search")');
+        return;
+    }
+    const allAsins = [link.asin].concat(Object.values(link.asins || {})).filter(Boolean);
+    allAsins.forEach(asin => {
+        if (!/^[A-Z0-9]{10}$/.test(asin)) error(where, `malformed ASIN "${asin}"`);
+        if (asins.has(asin) && asins.get(asin) !== where) error(where, `ASIN ${asin} is also used by ${asins.get(asin)}`);
+        asins.set(asin, where);
+    });
+    if (VRLinks.isSearchFallback(product, VRLinks.DEFAULT_STORE)) {
+        warn(where, `links to a search for "${link.search || product.name}" instead of a listing`);
+    }
+    if (link.search) {
+        // The search phrase should describe this product, not a different one
+        if (!phraseMatchesName(link.search, product.name)) {
+            error(where, `search phrase "${link.search}" doesn't match the product name "${product.name}"`);
+        }
+    }
+    const url = VRLinks.buildProductUrl(product, VRLinks.DEFAULT_STORE);
+    if (!/[?&]tag=/.test(url)) error(where, `link has no affiliate tag: ${url}`);
+});
+
+// Compatibility must refer to headsets in the catalog
+products.forEach(product => {
+    const compat = (product.specs && product.specs.compatibility) || [];
+    compat.forEach(headsetId => {
+        if (headsetId === '*') return;
+        const headset = products.find(p => p.id === headsetId);
+        if (!headset || headset.category !== 'Headsets') {
+            error(product.id, `compatibility lists unknown headset "${headsetId}"`);
+        }
+    });
+});
+
+// Quiz weights must refer to catalog products
+if (fs.existsSync(quizPath)) {
+    const quiz = readJson(quizPath);
+    (quiz.questions || []).forEach(question => {
+        (question.answers || []).forEach(answer => {
+            const weighted = Object.keys((answer.weights && answer.weights.products) || {});
+            weighted.forEach(productId => {
+                if (!ids.has(productId)) error(`quiz ${question.id}/${answer.id}`, `weights unknown product "${productId}"`);
+            });
+        });
+    });
+}
+
+// The price feed must refer to catalog products, with histories in date order
+if (fs.existsSync(pricesPath)) {
+    const feed = readJson(pricesPath);
+    const prices = feed.prices || {};
+    Object.keys(prices).forEach(productId => {
+        const entry = prices[productId];
+        if (!ids.has(productId)) error('prices', `price for unknown product "${productId}"`);
+        if (typeof entry.current !== 'number') error(`prices ${productId}`, 'no current price');
+        const dates = (entry.history || []).map(point => point.date);
+        if (dates.some((date, index) => index > 0 && date <= dates[index - 1])) {
+            error(`prices ${productId}`, 'history is not in date order');
+        }
+    });
+    products.forEach(product => {
+        if (!prices[product.id]) warn(product.id, 'no price in the price feed');
+    });
+}
+
+// Kit builder slots must be fillable from the catalog
+if (fs.existsSync(kitsPath)) {
+    const kits = readJson(kitsPath);
+    const categories = new Set(products.map(product => product.category));
+    (kits.slots || []).forEach(slot => {
+        const fill = slot.fill || {};
+        (fill.categories || []).forEach(category => {
+            if (!categories.has(category)) error(`kit slot ${slot.id}`, `fills from unknown category "${category}"`);
+        });
+        const fillable = products.some(product => product.category !== 'Headsets' &&
+            (!fill.categories || fill.categories.includes(product.category)) &&
+            (!fill.spec || (product.specs && product.specs[fill.spec] !== undefined)));
+        if (!fillable) warn(`kit slot ${slot.id}`, 'no product can fill it');
+    });
+}
+
+// Every locale needs a message file; keys missing from one fall back to English,
+// and a translation must keep the English placeholders
+function placeholders(message) {
+    const texts = message && typeof message === 'object' ? Object.values(message) : [message];
+    return new Set(texts.join(' ').match(/\{\w+\}/g) || []);
+}
+if (fs.existsSync(i18nDir)) {
+    const english = readJson(path.join(i18nDir, VRI18n.DEFAULT_LOCALE + '.json'));
+    Object.keys(VRI18n.LOCALES).forEach(locale => {
+        const file = path.join(i18nDir, locale + '.json');
+        if (!fs.existsSync(file)) {
+            error(`locale ${locale}`, `no message file ${path.relative(ROOT, file)}`);
+            return;
+        }
+        if (locale === VRI18n.DEFAULT_LOCALE) return;
+        const messages = readJson(file);
+        Object.keys(english).forEach(key => {
+            if (messages[key] === undefined) {
+                warn(`locale ${locale}`, `"${key}" is not translated`);
+                return;
+            }
+            const wanted = placeholders(english[key]);
+            const found = placeholders(messages[key]);
+            wanted.forEach(name => {
+                if (!found.has(name)) error(`locale ${locale}`, `"${key}" is missing the placeholder ${name}`);
+            });
+        });
+    });
+}
+
+warnings.forEach(line => console.warn('WARN  ' + line));
+errors.forEach(line => console.error('ERROR ' + line));
+console.log(`${products.length} products checked: ${errors.length} error(s), ${warnings.length} warning(s)`);
+process.exitCode = errors.length > 0 ? 1 : 0;
@@ -0,0 +1,120 @@
+/*
+ * Service worker: keeps the site working offline.
+ *
+ * Installing it precaches the page, styles, scripts, data files, images and the
+ * vendor libraries from jsDelivr into a cache named after CACHE_VERSION. The page
+ * and its scripts are then served from that cache; data files are fetched fresh
+ * when the network is there and fall back to their cached copy when it isn't. Changing
+ * CACHE_VERSION (scripts/stamp-service-worker.js does it from the file contents)
+ * makes browsers install the new files and drop the old cache.
+ *
+ * Favorites, compare, wishlists and the games keep their state in localStorage,
+ * so they need nothing else offline. Shop Now links leave the site and do need
+ * a connection; the page says so with its offline banner.
+ */
+const CACHE_VERSION = 'e857e96a3cbb';
+const CACHE_NAME = 'vrgear-' + CACHE_VERSION;
+// Everything the page needs to start, relative to this file
+const PRECACHE = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'script.js',
+    'js/search.js',
+    'js/voice.js',
+    'js/quiz.js',
+    'js/links.js',
+    'js/storage.js',
+    'js/prices.js',
+    'js/wishlists.js',
+    'js/kits.js',
+    'js/events.js',
+    'js/gamification.js',
+    'js/trending.js',
+    'js/insights.js',
+    'js/recent.js',
+    'js/profile.js',
+    'js/modals.js',
+    'js/i18n.js',
+    'data/products.json',
+    'data/quiz.json',
+    'data/gamification.json',
+    'data/prices.json',
+    'data/kits.json',
+    'data/i18n/en.json',
+    'data/i18n/de.json',
+    'images/hero.png',
+    'images/icon-192.png',
+    'images/icon-512.png',
+    'https://cdn.jsdelivr.net/npm/vanilla-tilt@1.7.3/dist/vanilla-tilt.min.js',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.3.0/dist/chart.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('vrgear-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Fetch and keep a copy in the current cache; errors reach the caller
+async function fetchAndCache(request) {
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Data files: the network first so prices and the catalog stay current
+async function networkFirst(request) {
+    try {
+        return await fetchAndCache(request);
+    } catch (e) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+// App shell and vendor libraries: the cached copy, which only changes with CACHE_VERSION
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || fetchAndCache(request);
+}
+
+// Page loads: the cached page, so it always matches the cached scripts. A deploy
+// arrives with the next version of this file, and the page offers a reload then.
+async function page(request) {
+    return (await caches.match('index.html')) || fetchAndCache(request);
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    // Beacons and other writes go straight to the network
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    if (request.mode === 'navigate' && sameOrigin && /\/(index\.html)?$/.test(url.pathname)) {
+        event.respondWith(page(request));
+    } else if (sameOrigin && url.pathname.endsWith('.json')) {
+        event.respondWith(networkFirst(request));
+    } else if (sameOrigin || url.hostname === 'cdn.jsdelivr.net') {
+        event.respondWith(cacheFirst(request));
+    }
+});